@@ -6,6 +6,10 @@ const CleanCSS = require('clean-css');
 const SRC_DIR = path.join(__dirname, 'src');
 const DIST_DIR = path.join(__dirname, 'dist');
 
+// Command line: node build.js [--static] [--out=<folder>] [--site-url=<url>] [--force]
+const args = process.argv.slice(2);
+const STATIC_MODE = args.includes('--static');
+
 /**
  * Main build function
  */
@@ -34,6 +38,51 @@ async function build() {
     }
 }
 
+/**
+ * Static export: pre-rendered pages and API data that any static host can serve
+ */
+async function buildStatic() {
+    console.log('🌐 Starting static export...\n');
+    const startTime = Date.now();
+
+    try {
+        const { exportStaticSite } = require('./src/backend/services/staticExportService');
+        const outDir = path.resolve(getArgValue('--out') || path.join(DIST_DIR, 'static'));
+
+        const stats = await exportStaticSite(outDir, { siteUrl: getArgValue('--site-url'), force: args.includes('--force') });
+
+        console.log(`  ✓ ${stats.products} product(s), ${stats.pages} page(s), ${stats.assets} asset(s)`);
+        console.log(`  ✓ Search index: ${stats.searchDocuments} document(s)`);
+        console.log(`  ✓ ${stats.redirects} redirect stub(s)`);
+        if (stats.sitemap) {
+            console.log('  ✓ sitemap.xml');
+        } else {
+            console.log('  ⚠ No sitemap.xml: set SITE_URL or pass --site-url=<url>');
+        }
+
+        for (const failure of stats.failed) {
+            console.error(`  ✗ ${failure.url}: ${failure.error}`);
+        }
+        if (stats.failed.length > 0) {
+            throw new Error(`${stats.failed.length} page(s) failed to export`);
+        }
+
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`\n✅ Static site written to ${path.relative(__dirname, outDir) || '.'} in ${duration}s!`);
+    } catch (error) {
+        console.error('\n❌ Static export failed:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Get the value of a --name=value command line argument
+ */
+function getArgValue(name) {
+    const arg = args.find(value => value.startsWith(`${name}=`));
+    return arg ? arg.slice(name.length + 1) : null;
+}
+
 /**
  * Ensure directory exists, create if not
  */
@@ -221,7 +270,7 @@ function formatBytes(bytes) {
 }
 
 // Run build
-build().catch(error => {
+(STATIC_MODE ? buildStatic() : build()).catch(error => {
     console.error('❌ Build failed:', error);
     process.exit(1);
 });
@@ -8,6 +8,7 @@ import { initStepsLogic } from './components/Steps.js';
 import { initAccordionLogic } from './components/Accordions.js';
 import { initCodeGroupLogic } from './components/CodeGroups.js';
 import { initExpandableLogic } from './components/Expandables.js';
+import { initUpdateFilterLogic } from './components/Updates.js';
 
 /**
  * Initializes all component interactivity
@@ -20,6 +21,7 @@ export function initializeComponentScripts() {
         initAccordionLogic();
         initCodeGroupLogic();
         initExpandableLogic();
+        initUpdateFilterLogic();
         initStepsLogic(); // Minimal, but included for consistency
 
         console.log('✓ Component interactivity initialized');
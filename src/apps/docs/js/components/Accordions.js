@@ -39,12 +39,11 @@ export function renderAccordion(props, contentHTML, uniqueId) {
 
 /**
  * Renders accordion group HTML structure
- * @param {Array} accordionsArray - Array of accordion objects
+ * @param {Array} accordionsArray - Array of accordion objects with {title, icon, defaultOpen, description, contentHTML}
  * @returns {string} HTML string for accordion group
  */
 export function renderAccordionGroup(accordionsArray) {
     const accordionsHtml = accordionsArray.map((item) => {
-        const html = marked.parse(item.content);
         return renderAccordion(
             {
                 title: item.title,
@@ -52,7 +51,7 @@ export function renderAccordionGroup(accordionsArray) {
                 defaultOpen: item.defaultOpen,
                 description: item.description
             },
-            html
+            item.contentHTML
         );
     }).join('');
 
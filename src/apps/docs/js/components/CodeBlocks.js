@@ -0,0 +1,200 @@
+/**
+ * CodeBlocks Component
+ * Renders a single highlighted code block with language label and copy button
+ *
+ * The code fence meta supports a title (`title="app.js"` or a bare file name),
+ * highlighted lines (`{1,4-6}`) and line numbers (`showLineNumbers`).
+ * `diff` and `diff-<language>` blocks mark added/removed lines.
+ */
+
+/**
+ * Escapes HTML special characters
+ * @param {string} html - HTML string to escape
+ * @returns {string} Escaped HTML string
+ */
+function escapeHtml(html) {
+    return html
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+/**
+ * Splits a code fence info string into language and meta
+ * @param {string} info - Info string (e.g. 'js title="app.js" {2}')
+ * @returns {Object} {language, meta}
+ */
+export function splitCodeInfo(info) {
+    const match = (info || '').trim().match(/^(\S*)\s*(.*)$/);
+    return {
+        language: match[1] || 'plaintext',
+        meta: match[2]
+    };
+}
+
+/**
+ * Parses a code fence meta string
+ * Highlighted lines outside the code block are ignored, as are reversed ranges (`{6-4}`).
+ * @param {string} meta - Meta string (e.g. 'title="app.js" {1,4-6} showLineNumbers')
+ * @param {number} lineCount - Number of lines of the code block
+ * @returns {Object} {title, highlightLines, showLineNumbers}
+ */
+export function parseCodeMeta(meta, lineCount = 0) {
+    let rest = meta || '';
+    const highlightLines = new Set();
+
+    let title = null;
+    const titleMatch = rest.match(/\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+    if (titleMatch) {
+        title = titleMatch[1] ?? titleMatch[2] ?? titleMatch[3];
+        rest = rest.replace(titleMatch[0], '');
+    }
+
+    const rangeMatch = rest.match(/\{([\d,\s-]+)\}/);
+    if (rangeMatch) {
+        rangeMatch[1].split(',').forEach(part => {
+            const [start, end = start] = part.trim().split('-').map(Number);
+            if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start || start > lineCount) return;
+            for (let line = start; line <= Math.min(end, lineCount); line++) {
+                highlightLines.add(line);
+            }
+        });
+        rest = rest.replace(rangeMatch[0], '');
+    }
+
+    const showLineNumbers = /\b(showLineNumbers|lineNumbers)\b/.test(rest);
+    rest = rest.replace(/\b(showLineNumbers|lineNumbers)\b/g, '');
+
+    // A bare word left over is used as title (```js app.js)
+    if (!title && rest.trim()) {
+        title = rest.trim();
+    }
+
+    return { title, highlightLines, showLineNumbers };
+}
+
+/**
+ * Splits highlighted HTML into lines, closing and reopening spans at line breaks
+ * Works with any highlighter that only emits <span> elements (lowlight, Prism)
+ * @param {string} html - Highlighted HTML
+ * @returns {Array<string>} HTML per line
+ */
+function splitHighlightedLines(html) {
+    const lines = [];
+    const openTags = [];
+    let current = '';
+
+    html.split(/(<span[^>]*>|<\/span>|\n)/).forEach(part => {
+        if (part === '\n') {
+            lines.push(current + '</span>'.repeat(openTags.length));
+            current = openTags.join('');
+        } else if (part.startsWith('<span')) {
+            openTags.push(part);
+            current += part;
+        } else if (part === '</span>') {
+            openTags.pop();
+            current += part;
+        } else {
+            current += part;
+        }
+    });
+
+    lines.push(current);
+    return lines;
+}
+
+/**
+ * Renders the content of a <code> element
+ * @param {string} code - Source code
+ * @param {string} language - Language identifier ('plaintext' if none)
+ * @param {Function} highlightCode - (code, language) => highlighted HTML, or null if the language is unsupported
+ * @param {Object} options - Parsed meta ({highlightLines, showLineNumbers})
+ * @returns {Object} {html, language} - Code HTML and the language it was highlighted as
+ */
+export function renderCodeContent(code, language, highlightCode = () => null, options = {}) {
+    const highlightLines = options.highlightLines || new Set();
+    let source = code;
+    let sourceLanguage = language || 'plaintext';
+    let diffMarkers = null;
+
+    // diff-<language>: strip the +/- column and highlight the rest as <language>
+    if (sourceLanguage === 'diff' || sourceLanguage.startsWith('diff-')) {
+        const lines = code.split('\n');
+        diffMarkers = lines.map(line => (line[0] === '+' || line[0] === '-' ? line[0] : null));
+
+        if (sourceLanguage !== 'diff') {
+            sourceLanguage = sourceLanguage.slice('diff-'.length);
+            source = lines.map(line => (/^[+\- ]/.test(line) ? line.slice(1) : line)).join('\n');
+        }
+    }
+
+    let highlighted = null;
+    if (sourceLanguage !== 'plaintext') {
+        try {
+            highlighted = highlightCode(source, sourceLanguage);
+        } catch (e) {
+            highlighted = null;
+        }
+    }
+
+    const validLang = highlighted !== null ? sourceLanguage : 'plaintext';
+    if (highlighted === null) {
+        highlighted = escapeHtml(source);
+    }
+
+    if (!diffMarkers && highlightLines.size === 0 && !options.showLineNumbers) {
+        return { html: highlighted, language: validLang };
+    }
+
+    const keepMarkers = diffMarkers && language !== 'diff';
+    const html = splitHighlightedLines(highlighted).map((lineHtml, index) => {
+        const lineNumber = index + 1;
+        const marker = diffMarkers ? diffMarkers[index] : null;
+
+        const classes = ['code-line'];
+        if (highlightLines.has(lineNumber)) classes.push('highlighted');
+        if (marker === '+') classes.push('diff-add');
+        if (marker === '-') classes.push('diff-remove');
+
+        const markerHtml = keepMarkers ? `<span class="diff-marker">${marker || ' '}</span>` : '';
+
+        return `<span class="${classes.join(' ')}" data-line="${lineNumber}">${markerHtml}${lineHtml}\n</span>`;
+    }).join('');
+
+    return { html, language: validLang };
+}
+
+/**
+ * Renders code block HTML structure
+ * @param {string} code - Source code
+ * @param {string} language - Language identifier ('plaintext' if none)
+ * @param {Function} highlightCode - (code, language) => highlighted HTML, or null if the language is unsupported
+ * @param {string} meta - Code fence meta string (title, {1,4-6}, showLineNumbers)
+ * @returns {string} HTML string for code block component
+ */
+export function renderCodeBlock(code, language, highlightCode = () => null, meta = '') {
+    const options = parseCodeMeta(meta, code.split('\n').length);
+    const { html, language: validLang } = renderCodeContent(code, language, highlightCode, options);
+
+    const languageLabel = validLang.charAt(0).toUpperCase() + validLang.slice(1);
+    const labelHtml = options.title
+        ? `<span class="code-language code-title">${escapeHtml(options.title)}</span>`
+        : `<span class="code-language">${languageLabel}</span>`;
+    const preClass = `language-${validLang}${options.showLineNumbers ? ' line-numbers' : ''}`;
+
+    return `
+            <div class="code-block-wrapper">
+                <div class="code-block-header">
+                    ${labelHtml}
+                    <button class="copy-code-btn" data-clipboard-text="${escapeHtml(code)}">
+                        <i class="fa-regular fa-copy"></i> Copy
+                    </button>
+                </div>
+                <pre class="${preClass}"><code class="language-${validLang}">${html}</code></pre>
+            </div>
+        `;
+}
+
+// No init function needed - copy buttons are wired up by common.js
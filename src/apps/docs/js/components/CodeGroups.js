@@ -3,6 +3,8 @@
  * Renders grouped code blocks with tab or dropdown switching
  */
 
+import { renderCodeContent } from './CodeBlocks.js';
+
 /**
  * Escapes HTML special characters
  * @param {string} html - HTML string to escape
@@ -19,12 +21,14 @@ function escapeHtml(html) {
 
 /**
  * Renders code group HTML structure
- * @param {Array} blocksArray - Array of code block objects with {language, title, code}
+ * @param {Array} blocksArray - Array of code block objects with {language, title, code, options}
+ *                              (options: parsed fence meta, see parseCodeMeta)
  * @param {boolean} isDropdown - Whether to use dropdown selector instead of tabs
  * @param {string} uniqueId - Unique identifier for this code group instance
+ * @param {Function} highlightCode - (code, language) => highlighted HTML, or null if the language is unsupported
  * @returns {string} HTML string for code group component
  */
-export function renderCodeGroup(blocksArray, isDropdown, uniqueId) {
+export function renderCodeGroup(blocksArray, isDropdown, uniqueId, highlightCode = () => null) {
     const groupId = uniqueId || 'codegroup-' + Math.random().toString(36).substr(2, 9);
 
     if (isDropdown) {
@@ -34,9 +38,7 @@ export function renderCodeGroup(blocksArray, isDropdown, uniqueId) {
         }).join('');
 
         const blocks = blocksArray.map((block, index) => {
-            const highlighted = Prism.languages[block.language]
-                ? Prism.highlight(block.code, Prism.languages[block.language], block.language)
-                : escapeHtml(block.code);
+            const { html: highlighted, language } = renderCodeContent(block.code, block.language, highlightCode, block.options);
 
             const displayStyle = index === 0 ? 'block' : 'none';
 
@@ -44,12 +46,12 @@ export function renderCodeGroup(blocksArray, isDropdown, uniqueId) {
                 <div class="code-group-block" data-index="${index}" style="display: ${displayStyle};">
                     <div class="code-block-wrapper">
                         <div class="code-block-header">
-                            <span class="code-language">${block.language}</span>
+                            <span class="code-language">${language}</span>
                             <button class="copy-code-btn" data-clipboard-text="${escapeHtml(block.code)}">
                                 <i class="fa-regular fa-copy"></i> Copy
                             </button>
                         </div>
-                        <pre class="language-${block.language}"><code class="language-${block.language}">${highlighted}</code></pre>
+                        <pre class="language-${language}${block.options?.showLineNumbers ? ' line-numbers' : ''}"><code class="language-${language}">${highlighted}</code></pre>
                     </div>
                 </div>
             `;
@@ -79,9 +81,7 @@ export function renderCodeGroup(blocksArray, isDropdown, uniqueId) {
         }).join('');
 
         const blocks = blocksArray.map((block, index) => {
-            const highlighted = Prism.languages[block.language]
-                ? Prism.highlight(block.code, Prism.languages[block.language], block.language)
-                : escapeHtml(block.code);
+            const { html: highlighted, language } = renderCodeContent(block.code, block.language, highlightCode, block.options);
 
             const activeClass = index === 0 ? 'active' : '';
 
@@ -89,12 +89,12 @@ export function renderCodeGroup(blocksArray, isDropdown, uniqueId) {
                 <div class="code-group-block ${activeClass}" data-index="${index}">
                     <div class="code-block-wrapper">
                         <div class="code-block-header">
-                            <span class="code-language">${block.language}</span>
+                            <span class="code-language">${language}</span>
                             <button class="copy-code-btn" data-clipboard-text="${escapeHtml(block.code)}">
                                 <i class="fa-regular fa-copy"></i> Copy
                             </button>
                         </div>
-                        <pre class="language-${block.language}"><code class="language-${block.language}">${highlighted}</code></pre>
+                        <pre class="language-${language}${block.options?.showLineNumbers ? ' line-numbers' : ''}"><code class="language-${language}">${highlighted}</code></pre>
                     </div>
                 </div>
             `;
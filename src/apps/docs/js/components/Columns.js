@@ -0,0 +1,36 @@
+/**
+ * Columns Component
+ * Renders a grid of cards in a fixed number of columns
+ */
+
+/**
+ * Renders columns HTML structure
+ * @param {number} cols - Number of columns
+ * @param {Array} cardsArray - Array of card objects with {title, icon, contentHTML, href}
+ *                             (cards with an href are rendered as links)
+ * @returns {string} HTML string for columns component
+ */
+export function renderColumns(cols, cardsArray) {
+    const cardsHtml = cardsArray.map(card => {
+        const iconHtml = card.icon ? `<i class="fas fa-${card.icon} card-icon"></i>` : '';
+        const tag = card.href ? 'a' : 'div';
+        const linkAttributes = card.href ? ` href="${card.href}"` : '';
+        const linkClass = card.href ? ' column-card-link' : '';
+
+        return `
+                <${tag} class="column-card${linkClass}"${linkAttributes}>
+                    ${iconHtml}
+                    <h3 class="card-title">${card.title}</h3>
+                    <div class="card-content">${card.contentHTML}</div>
+                </${tag}>
+            `;
+    }).join('');
+
+    return `
+            <div class="columns-container" style="grid-template-columns: repeat(${cols}, 1fr);">
+                ${cardsHtml}
+            </div>
+        `;
+}
+
+// No init function needed - columns are static components
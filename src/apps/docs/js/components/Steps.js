@@ -5,12 +5,11 @@
 
 /**
  * Renders steps HTML structure
- * @param {Array} stepsArray - Array of step objects with {title, icon, content}
+ * @param {Array} stepsArray - Array of step objects with {title, icon, contentHTML}
  * @returns {string} HTML string for steps component
  */
 export function renderSteps(stepsArray) {
     const stepsHtml = stepsArray.map((step, index) => {
-        const html = marked.parse(step.content);
         const iconHtml = step.icon
             ? `<i class="fas fa-${step.icon}"></i>`
             : `<span class="step-number">${index + 1}</span>`;
@@ -22,7 +21,7 @@ export function renderSteps(stepsArray) {
                 </div>
                 <div class="step-content">
                     <h3 class="step-title">${step.title}</h3>
-                    <div class="step-body">${html}</div>
+                    <div class="step-body">${step.contentHTML}</div>
                 </div>
             </div>
         `;
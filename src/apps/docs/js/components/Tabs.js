@@ -5,7 +5,7 @@
 
 /**
  * Renders tabs HTML structure
- * @param {Array} tabsArray - Array of tab objects with {title, icon, content}
+ * @param {Array} tabsArray - Array of tab objects with {title, icon, contentHTML}
  * @param {string} uniqueId - Unique identifier for this tabs instance
  * @returns {string} HTML string for tabs component
  */
@@ -27,10 +27,9 @@ export function renderTabs(tabsArray, uniqueId) {
     // Generate tab content
     const contents = tabsArray.map((tab, index) => {
         const activeClass = index === 0 ? 'active' : '';
-        const html = marked.parse(tab.content);
         return `
             <div class="tab-panel ${activeClass}" data-tab-index="${index}">
-                ${html}
+                ${tab.contentHTML}
             </div>
         `;
     }).join('');
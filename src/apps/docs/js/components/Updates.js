@@ -0,0 +1,88 @@
+/**
+ * Updates Component
+ * Renders dated changelog entries and filters them by tag
+ */
+
+/**
+ * Format an ISO date (YYYY-MM-DD) for display
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date (e.g. "May 1, 2024"), or the input if it is not a date
+ */
+function formatDate(date) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (isNaN(parsed.getTime())) {
+        return date;
+    }
+
+    return parsed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Renders update HTML structure
+ * The anchor id is built from date and label (e.g. "update-2024-05-01-v1-2-0").
+ * @param {Object} props - Update properties {date, label, tags, href}
+ *                         (href links the label to the entry's page, used on the changelog page)
+ * @param {string} contentHTML - HTML content for update body
+ * @returns {string} HTML string for update component
+ */
+export function renderUpdate(props, contentHTML) {
+    const tags = props.tags || [];
+    const labelSlug = (props.label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const id = ['update', props.date, labelSlug].filter(Boolean).join('-');
+    const label = props.label || formatDate(props.date);
+    const labelHtml = props.href ? `<a href="${props.href}">${label}</a>` : label;
+    const dateHtml = props.label ? `<time class="update-date" datetime="${props.date}">${formatDate(props.date)}</time>` : '';
+    const tagsHtml = tags.length > 0
+        ? `<div class="update-tags">${tags.map(tag => `<span class="update-tag">${tag}</span>`).join('')}</div>`
+        : '';
+
+    return `
+        <div class="update-entry" id="${id}" data-date="${props.date}" data-label="${props.label || ''}" data-tags="${tags.join(',')}">
+            <div class="update-meta">
+                <span class="update-label">${labelHtml}</span>
+                ${dateHtml}
+                ${tagsHtml}
+            </div>
+            <div class="update-content">
+                ${contentHTML}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Initializes tag filtering for pages with several tagged updates
+ * Adds a filter bar above the first update; choosing a tag hides updates without it.
+ */
+export function initUpdateFilterLogic() {
+    const entries = [...document.querySelectorAll('.update-entry')];
+    const getTags = (entry) => (entry.dataset.tags || '').split(',').filter(Boolean);
+
+    const tags = [...new Set(entries.flatMap(getTags))].sort((a, b) => a.localeCompare(b));
+    if (entries.length < 2 || tags.length === 0 || document.querySelector('.update-filters')) {
+        return;
+    }
+
+    const filters = document.createElement('div');
+    filters.className = 'update-filters';
+
+    ['', ...tags].forEach(tag => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = tag ? 'update-filter' : 'update-filter active';
+        button.textContent = tag || 'All';
+
+        button.addEventListener('click', () => {
+            filters.querySelectorAll('.update-filter').forEach(btn => {
+                btn.classList.toggle('active', btn === button);
+            });
+            entries.forEach(entry => {
+                entry.hidden = Boolean(tag) && !getTags(entry).includes(tag);
+            });
+        });
+
+        filters.appendChild(button);
+    });
+
+    entries[0].before(filters);
+}
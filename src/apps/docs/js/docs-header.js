@@ -23,6 +23,8 @@ async function initDocsHeader() {
             header.innerHTML = generateHeaderHTML();
             attachHeaderEventListeners();
             updateActiveTab();
+            loadVersionSwitcher();
+            loadLanguageSwitcher();
             window.addEventListener('scroll', handleHeaderScroll);
         }
 
@@ -121,6 +123,12 @@ function generateHeaderHTML() {
                     <!-- Special Buttons (from config) -->
                     ${specialButtonsHTML}
 
+                    <!-- Version Switcher (filled by loadVersionSwitcher) -->
+                    <select id="docs-header-version-switcher" class="docs-header-switcher" aria-label="Documentation version" hidden></select>
+
+                    <!-- Language Switcher (filled by loadLanguageSwitcher) -->
+                    <select id="docs-header-language-switcher" class="docs-header-switcher" aria-label="Documentation language" hidden></select>
+
                     <button id="docs-header-theme-toggle" class="docs-header-theme-toggle" title="Toggle dark/light mode" aria-label="Toggle theme">
                         <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M11.5556 10.4445C8.48717 10.4445 6.00005 7.95743 6.00005 4.88899C6.00005 3.68721 6.38494 2.57877 7.03294 1.66943C4.04272 2.22766 1.77783 4.84721 1.77783 8.0001C1.77783 11.5592 4.66317 14.4445 8.22228 14.4445C11.2196 14.4445 13.7316 12.3948 14.4525 9.62321C13.6081 10.1414 12.6187 10.4445 11.5556 10.4445Z" fill="currentColor"/>
@@ -243,6 +251,21 @@ function loadSidebarContentToMobile() {
     }
 }
 
+/**
+ * Re-copy the sidebar into the mobile menu after it was re-rendered
+ * (e.g. when switching super-category)
+ */
+function refreshMobileSidebar() {
+    const mobileMenu = document.getElementById('docs-mobile-nav-menu');
+    if (!mobileMenu) return;
+
+    mobileMenu.removeAttribute('data-loaded');
+
+    if (mobileMenu.classList.contains('active')) {
+        loadSidebarContentToMobile();
+    }
+}
+
 /**
  * Bind event listeners for mobile sidebar elements
  */
@@ -304,6 +327,175 @@ function bindMobileSidebarEvents() {
     }
 }
 
+/**
+ * Split the current docs URL into product, version segment and page path
+ * e.g. /docs/@v1.2/documentation/setup -> {productId: 'docs', versionSegment: '@v1.2', pagePath: 'documentation/setup'}
+ */
+function parseDocsLocation() {
+    const [productId = null, ...segments] = window.location.pathname.split('/').filter(p => p);
+    const versionSegment = segments[0] && segments[0].startsWith('@') ? segments.shift() : null;
+
+    return { productId, versionSegment, pagePath: segments.join('/') };
+}
+
+/**
+ * Load the versions of the current product into the version switcher
+ * The switcher stays hidden for products with a single version.
+ */
+async function loadVersionSwitcher() {
+    const switcher = document.getElementById('docs-header-version-switcher');
+    const { productId, versionSegment } = parseDocsLocation();
+    if (!switcher || !productId) return;
+
+    try {
+        const response = await fetch(`/api/docs/${encodeURIComponent(productId)}/versions`);
+        if (!response.ok) return;
+
+        const { versions } = await response.json();
+        if (!versions || versions.length <= 1) return;
+
+        // Labels come from the version folders: set as text, not HTML
+        const current = (versionSegment || '').toLowerCase();
+        switcher.replaceChildren(...versions.map(version => {
+            const option = document.createElement('option');
+            option.value = version.urlSegment || '';
+            option.textContent = version.label;
+            option.selected = version.isLatest
+                ? !current || current === '@latest'
+                : version.urlSegment === current;
+            return option;
+        }));
+
+        switcher.hidden = false;
+        switcher.addEventListener('change', () => switchVersion(switcher.value));
+    } catch (error) {
+        console.error('Error loading versions:', error);
+    }
+}
+
+/**
+ * Check whether a page exists in a version, using that version's page tree
+ * @param {string} productId - Product ID
+ * @param {string} targetSegment - URL segment of the version (e.g. "@v1.2"), empty for latest
+ * @param {string} pagePath - Page path after the version, may start with a language code
+ * @returns {Promise<boolean>} True if the page or category exists
+ */
+async function versionHasPage(productId, targetSegment, pagePath) {
+    const segments = pagePath.toLowerCase().split('/').filter(p => p);
+    const query = new URLSearchParams();
+    if (targetSegment) query.set('version', targetSegment.slice(1));
+
+    const localesResponse = await fetch(`/api/docs/${encodeURIComponent(productId)}/locales`);
+    const { locales = [] } = localesResponse.ok ? await localesResponse.json() : {};
+    if (segments[0] && locales.includes(segments[0])) {
+        query.set('lang', segments.shift());
+    }
+
+    const queryString = query.toString() ? `?${query}` : '';
+    const response = await fetch(`/api/docs/${encodeURIComponent(productId)}/tree${queryString}`);
+    if (!response.ok) return false;
+
+    // Follow the URL slugs through the tree (category URLs are landing pages)
+    let items = (await response.json()).tree || [];
+    for (const segment of segments) {
+        const item = items.find(entry => String(entry.urlSlug).toLowerCase() === segment);
+        if (!item) return false;
+        items = item.children || [];
+    }
+
+    return true;
+}
+
+/**
+ * Open the current page in another version
+ * Falls back to the version's start page when the page does not exist there.
+ * @param {string} targetSegment - URL segment of the version (e.g. "@v1.2"), empty for latest
+ */
+async function switchVersion(targetSegment) {
+    const { productId, pagePath } = parseDocsLocation();
+    const versionRoot = [productId, targetSegment].filter(p => p).join('/');
+
+    let targetUrl = `/${versionRoot}`;
+    if (pagePath) {
+        try {
+            if (await versionHasPage(productId, targetSegment, pagePath)) {
+                targetUrl = `/${versionRoot}/${pagePath}${window.location.hash}`;
+            }
+        } catch (error) {
+            console.error('Error checking page in other version:', error);
+        }
+    }
+
+    window.location.href = targetUrl;
+}
+
+/**
+ * Load the languages of the current product into the language switcher
+ * The switcher stays hidden for products that are not translated.
+ */
+async function loadLanguageSwitcher() {
+    const switcher = document.getElementById('docs-header-language-switcher');
+    const { productId, pagePath } = parseDocsLocation();
+    if (!switcher || !productId) return;
+
+    try {
+        const response = await fetch(`/api/docs/${encodeURIComponent(productId)}/locales`);
+        if (!response.ok) return;
+
+        const { defaultLocale, locales } = await response.json();
+        if (!locales || locales.length <= 1) return;
+
+        const firstSegment = pagePath.split('/')[0].toLowerCase();
+        const current = locales.includes(firstSegment) ? firstSegment : defaultLocale;
+
+        switcher.replaceChildren(...locales.map(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = getLanguageName(locale);
+            option.selected = locale === current;
+            return option;
+        }));
+
+        switcher.hidden = false;
+        switcher.addEventListener('change', () => switchLanguage(switcher.value, locales, defaultLocale));
+    } catch (error) {
+        console.error('Error loading languages:', error);
+    }
+}
+
+/**
+ * Get the display name of a language code in that language (e.g. "de" -> "Deutsch")
+ * @param {string} locale - Language code
+ */
+function getLanguageName(locale) {
+    try {
+        return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+    } catch (error) {
+        return locale;
+    }
+}
+
+/**
+ * Open the current page in another language
+ * Untranslated pages are served in the default language by the server.
+ * @param {string} targetLocale - Language code
+ * @param {Array} locales - Language codes of the product
+ * @param {string} defaultLocale - Default language code (no URL prefix)
+ */
+function switchLanguage(targetLocale, locales, defaultLocale) {
+    const { productId, versionSegment, pagePath } = parseDocsLocation();
+
+    const pageSegments = pagePath.split('/').filter(p => p);
+    if (pageSegments[0] && locales.includes(pageSegments[0].toLowerCase())) {
+        pageSegments.shift();
+    }
+
+    const localeSegment = targetLocale === defaultLocale ? null : targetLocale;
+    const targetPath = [productId, versionSegment, localeSegment, ...pageSegments].filter(p => p).join('/');
+
+    window.location.href = `/${targetPath}${window.location.hash}`;
+}
+
 /**
  * Attach event listeners to header elements
  */
@@ -493,7 +685,8 @@ if (typeof window !== 'undefined') {
     window.DocsHeader = {
         init: initDocsHeader,
         updateActiveTab,
-        closeMobileMenu
+        closeMobileMenu,
+        refreshMobileSidebar
     };
 }
 
@@ -11,16 +11,36 @@ let availableSuperCategories = [];
 let currentSuperCategory = null;
 let superCategorySelectorInitialized = false;
 
+// Tree, product and URL prefix of the last rendered sidebar (used by the section switchers)
+let currentTree = [];
+let currentProductId = null;
+let currentRootPath = [];
+
 /**
  * Render the complete sidebar tree structure
  * @param {Array} tree - The tree structure from the API
  * @param {string} productId - Current product ID
+ * @param {Array|null} superCategories - Sections from /api/docs/:product/super-categories
+ *                                       (derived from the tree when not available)
+ * @param {Array} rootPath - URL segments before the page slugs: version and language (e.g. ["@v1.2", "de"])
  */
-function renderSidebarTree(tree, productId) {
+function renderSidebarTree(tree, productId, superCategories = null, rootPath = []) {
     const sidebar = document.querySelector('.sidebar-left');
 
-    // Extract super-categories (first level items)
-    availableSuperCategories = tree.filter(item => item.type === 'category');
+    currentTree = tree;
+    currentProductId = productId;
+    currentRootPath = rootPath;
+
+    // Super-categories are the first level items of the tree
+    const treeSuperCategories = tree.filter(item => item.type === 'category');
+    availableSuperCategories = superCategories
+        ? superCategories.filter(sc => treeSuperCategories.some(item => item.id === sc.id))
+        : treeSuperCategories.map(item => ({
+            id: item.id,
+            name: item.name,
+            urlSlug: item.urlSlug,
+            icon: item.icon
+        }));
 
     // Set current super-category (load from localStorage or default to first)
     const savedSuperCat = localStorage.getItem(`current-super-category-${productId}`);
@@ -47,17 +67,10 @@ function renderSidebarTree(tree, productId) {
     const superCategorySelectorHTML = showSelector ? `
         <div id="super-category-selector" class="super-category-selector">
             <button id="super-category-btn" class="super-category-button">
-                <span class="super-category-name">${currentSuperCatObj ? currentSuperCatObj.name : 'Select Category'}</span>
+                <span class="super-category-name"></span>
                 <i class="fas fa-chevron-down super-category-icon"></i>
             </button>
-            <div id="super-category-dropdown" class="super-category-dropdown">
-                ${availableSuperCategories.map(sc => `
-                    <div class="super-category-option ${sc.urlSlug === currentSuperCategory ? 'active' : ''}"
-                         data-super-category="${sc.urlSlug}">
-                        ${sc.name}
-                    </div>
-                `).join('')}
-            </div>
+            <div id="super-category-dropdown" class="super-category-dropdown"></div>
         </div>
     ` : '';
 
@@ -86,20 +99,41 @@ function renderSidebarTree(tree, productId) {
         sidebar.appendChild(tempContainer.firstChild);
     }
 
+    // Names and icons come from the content folders: set as text, not HTML
+    if (showSelector) {
+        sidebar.querySelector('.super-category-name').textContent = currentSuperCatObj ? currentSuperCatObj.name : 'Select Category';
+        sidebar.querySelector('#super-category-dropdown').replaceChildren(...availableSuperCategories.map(sc => {
+            const option = document.createElement('div');
+            option.className = 'super-category-option';
+            option.classList.toggle('active', sc.urlSlug === currentSuperCategory);
+            option.dataset.superCategory = sc.urlSlug;
+            option.dataset.superCategoryId = sc.urlSlug;
+            if (sc.icon) {
+                const icon = document.createElement('i');
+                icon.className = `fas fa-${sc.icon} sidebar-category-icon`;
+                option.appendChild(icon);
+            }
+            option.append(sc.name);
+            return option;
+        }));
+    }
+
     // =========================================================================
     // FIX ENDE
     // =========================================================================
 
     // Render only the selected super-category
-    const selectedSuperCat = availableSuperCategories.find(sc => sc.urlSlug === currentSuperCategory);
+    const currentSuperCatEntry = availableSuperCategories.find(sc => sc.urlSlug === currentSuperCategory);
+    const selectedSuperCat = currentSuperCatEntry && treeSuperCategories.find(item => item.id === currentSuperCatEntry.id);
     if (selectedSuperCat) {
-        const itemElement = renderTreeItem(selectedSuperCat, productId, [], 0);
+        // Pages of older versions and other languages are addressed below their prefix
+        const itemElement = renderTreeItem(selectedSuperCat, productId, rootPath, 0);
         sidebar.appendChild(itemElement);
     }
 
     // Initialize event listeners
     initializeCategoryEventListeners(productId);
-    initializeSuperCategorySelector(productId, tree);
+    initializeSuperCategorySelector();
     
     // Re-initialize Sidebar Events if necessary (z.B. Collapse Button neu binden falls verloren)
     if (window.DocsSidebars && typeof window.DocsSidebars.init === 'function') {
@@ -154,9 +188,12 @@ function renderTraditionalCategory(category, productId, currentPath, depth) {
     const navBlock = document.createElement('div');
     navBlock.className = 'nav-block';
 
-    // Category title
+    // Category title (label and icon may come from _meta.json)
     const title = document.createElement('h4');
-    title.textContent = category.name;
+    if (category.icon) {
+        title.appendChild(createCategoryIcon(category.icon));
+    }
+    title.appendChild(document.createTextNode(category.name));
     navBlock.appendChild(title);
 
     // File list
@@ -183,7 +220,7 @@ function renderNestedCategory(category, productId, currentPath, depth) {
     container.className = 'sidebar-category-item';
 
     const pathString = currentPath.join('/');
-    const isExpanded = getCategoryExpansionState(productId, pathString);
+    const isExpanded = getCategoryExpansionState(productId, pathString, category.collapsed === false);
 
     // Create category button
     const button = document.createElement('button');
@@ -194,7 +231,10 @@ function renderNestedCategory(category, productId, currentPath, depth) {
     // Category name
     const nameSpan = document.createElement('span');
     nameSpan.className = 'category-name';
-    nameSpan.textContent = category.name;
+    if (category.icon) {
+        nameSpan.appendChild(createCategoryIcon(category.icon));
+    }
+    nameSpan.appendChild(document.createTextNode(category.name));
     button.appendChild(nameSpan);
 
     // Arrow icon (only if has children)
@@ -225,6 +265,17 @@ function renderNestedCategory(category, productId, currentPath, depth) {
     return container;
 }
 
+/**
+ * Create the icon element for a category
+ * @param {string} icon - Font Awesome icon name
+ * @returns {HTMLElement} - Icon element
+ */
+function createCategoryIcon(icon) {
+    const iconElement = document.createElement('i');
+    iconElement.className = `fas fa-${icon} sidebar-category-icon`;
+    return iconElement;
+}
+
 /**
  * Render a file item
  * @param {Object} file - File object
@@ -250,7 +301,15 @@ function renderFile(file, productId, parentPath, depth) {
     link.href = fileUrl;
     link.className = depth < 2 ? '' : 'sidebar-file-link';
     link.dataset.filePath = filePath;
-    link.textContent = file.name;
+
+    // Optional icon from page frontmatter
+    if (file.icon) {
+        const icon = document.createElement('i');
+        icon.className = `fas fa-${file.icon} sidebar-file-icon`;
+        link.appendChild(icon);
+    }
+
+    link.appendChild(document.createTextNode(file.name));
 
     container.appendChild(link);
 
@@ -367,6 +426,60 @@ function initializeCategoryEventListeners(productId) {
     });
 }
 
+/**
+ * Show the current URL of a page the API redirected to (renamed or moved page, legacy URL)
+ * @param {Response} response - Page API response
+ * @param {string} productId - Product ID
+ * @param {Object} data - Page API data (path: URL path the page is served from)
+ */
+function replaceMovedPageUrl(response, productId, data) {
+    if (!response.redirected || !data.path) return;
+
+    const newUrl = `/${productId}/${data.path}${window.location.hash}`;
+    window.history.replaceState(window.history.state, '', newUrl);
+}
+
+/**
+ * Get the display name of a language code (e.g. "de" -> "Deutsch")
+ * @param {string} locale - Language code
+ * @returns {string} Language name in that language
+ */
+function getLanguageName(locale) {
+    try {
+        return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+    } catch (error) {
+        return locale;
+    }
+}
+
+/**
+ * Show a notice above pages that are not translated into the requested language
+ * or whose translation is based on an older version of the original page
+ * @param {HTMLElement} container - Content container
+ * @param {Object} data - Page API data (locale, requestedLocale, fallback, translation)
+ */
+function showLocaleNotice(container, data) {
+    const notice = document.createElement('div');
+    notice.className = 'docs-locale-notice';
+    notice.setAttribute('role', 'note');
+
+    if (data.fallback) {
+        notice.textContent = `This page is not available in ${getLanguageName(data.requestedLocale)} yet and is shown in ${getLanguageName(data.locale)}.`;
+    } else if (data.translation && data.translation.status === 'outdated') {
+        notice.classList.add('docs-locale-notice-outdated');
+        notice.textContent = 'This translation may be outdated. ';
+
+        const sourceLink = document.createElement('a');
+        sourceLink.href = data.translation.sourceUrl;
+        sourceLink.textContent = 'Read the original page';
+        notice.appendChild(sourceLink);
+    } else {
+        return;
+    }
+
+    container.prepend(notice);
+}
+
 /**
  * Load a category's index.md file
  * @param {string} productId - Product ID
@@ -384,6 +497,7 @@ async function loadCategoryIndex(productId, categoryPath) {
         }
 
         const data = await response.json();
+        replaceMovedPageUrl(response, productId, data);
 
         // Response now includes pre-rendered HTML from the server:
         // - content: pre-rendered HTML (ready to inject)
@@ -407,6 +521,7 @@ async function loadCategoryIndex(productId, categoryPath) {
         // Inject pre-rendered HTML directly
         dynamicContent.innerHTML = html;
         dynamicContent.style.display = 'block';
+        showLocaleNotice(dynamicContent, data);
 
         // Initialize interactive components (Tabs, Accordions, CodeGroups, etc.)
         initializeComponentScripts();
@@ -418,7 +533,7 @@ async function loadCategoryIndex(productId, categoryPath) {
         updatePageHeaderControls(categoryPath);
 
         // Update table of contents
-        updateTableOfContents(dynamicContent);
+        updateTableOfContents(dynamicContent, data.toc);
 
         // Add copy button listeners to code blocks
         if (typeof addCopyButtonListeners === 'function') {
@@ -458,6 +573,7 @@ async function loadMarkdownFileByPath(productId, filePath) {
         }
 
         const data = await response.json();
+        replaceMovedPageUrl(response, productId, data);
 
         // Response now includes pre-rendered HTML from the server:
         // - content: pre-rendered HTML (ready to inject)
@@ -481,6 +597,7 @@ async function loadMarkdownFileByPath(productId, filePath) {
         // Inject pre-rendered HTML directly
         dynamicContent.innerHTML = html;
         dynamicContent.style.display = 'block';
+        showLocaleNotice(dynamicContent, data);
 
         // Initialize interactive components (Tabs, Accordions, CodeGroups, etc.)
         initializeComponentScripts();
@@ -492,15 +609,22 @@ async function loadMarkdownFileByPath(productId, filePath) {
         updatePageHeaderControls(filePath);
 
         // Update table of contents
-        updateTableOfContents(dynamicContent);
+        updateTableOfContents(dynamicContent, data.toc);
 
         // Add copy button listeners
         if (typeof addCopyButtonListeners === 'function') {
             addCopyButtonListeners();
         }
 
-        // Scroll to top
-        window.scrollTo(0, 0);
+        // Deep links: scroll to the heading anchor, otherwise to top
+        const anchorTarget = window.location.hash
+            ? document.getElementById(decodeURIComponent(window.location.hash.slice(1)))
+            : null;
+        if (anchorTarget) {
+            anchorTarget.scrollIntoView({ block: 'start' });
+        } else {
+            window.scrollTo(0, 0);
+        }
 
         // Analytics tracking removed (Task 1.10.6)
 
@@ -530,19 +654,44 @@ function saveCategoryExpansionState(productId, categoryPath, isExpanded) {
  * Get category expansion state from localStorage
  * @param {string} productId - Product ID
  * @param {string} categoryPath - Category path
+ * @param {boolean} defaultExpanded - State when nothing is saved (from _meta.json "collapsed")
  * @returns {boolean} - Expansion state
  */
-function getCategoryExpansionState(productId, categoryPath) {
+function getCategoryExpansionState(productId, categoryPath, defaultExpanded = false) {
     const key = `category-expansion-${productId}-${categoryPath}`;
-    return localStorage.getItem(key) === 'true';
+    const saved = localStorage.getItem(key);
+    return saved === null ? defaultExpanded : saved === 'true';
+}
+
+/**
+ * Switch the sidebar to another super-category
+ * Shared by the sidebar selector and the mobile header switcher
+ * @param {string} superCategorySlug - URL slug of the super-category
+ */
+function selectSuperCategory(superCategorySlug) {
+    if (!currentProductId || !availableSuperCategories.some(sc => sc.urlSlug === superCategorySlug)) {
+        return;
+    }
+
+    // Save to localStorage
+    localStorage.setItem(`current-super-category-${currentProductId}`, superCategorySlug);
+
+    // Update current super category
+    currentSuperCategory = superCategorySlug;
+
+    // Re-render sidebar with new super-category
+    renderSidebarTree(currentTree, currentProductId, availableSuperCategories, currentRootPath);
+
+    // The mobile menu holds a copy of the sidebar
+    if (window.DocsHeader && typeof window.DocsHeader.refreshMobileSidebar === 'function') {
+        window.DocsHeader.refreshMobileSidebar();
+    }
 }
 
 /**
  * Initialize super-category selector event listeners
- * @param {string} productId - Product ID
- * @param {Array} tree - Full tree structure
  */
-function initializeSuperCategorySelector(productId, tree) {
+function initializeSuperCategorySelector() {
     // Only initialize event listeners once using event delegation on the sidebar
     if (!superCategorySelectorInitialized) {
         const sidebar = document.querySelector('.sidebar-left');
@@ -588,14 +737,7 @@ function initializeSuperCategorySelector(productId, tree) {
             });
             option.classList.add('active');
 
-            // Save to localStorage
-            localStorage.setItem(`current-super-category-${productId}`, selectedSlug);
-
-            // Update current super category
-            currentSuperCategory = selectedSlug;
-
-            // Re-render sidebar with new super-category
-            renderSidebarTree(tree, productId);
+            selectSuperCategory(selectedSlug);
 
             // Close dropdown
             dropdown.classList.remove('show');
@@ -620,6 +762,9 @@ function initializeSuperCategorySelector(productId, tree) {
             }
         });
 
+        // Section switcher in the mobile header menu
+        window.handleSuperCategoryChange = (superCategoryId) => selectSuperCategory(superCategoryId);
+
         superCategorySelectorInitialized = true;
     }
 }
@@ -692,8 +837,10 @@ function formatCategoryName(name) {
 
 /**
  * Update table of contents in right sidebar
+ * @param {HTMLElement} contentElement - Element containing the rendered page
+ * @param {Array|null} toc - Table of contents from the docs API ([{level, id, text}])
  */
-function updateTableOfContents(contentElement) {
+function updateTableOfContents(contentElement, toc = null) {
     // Default settings
     const headerSettings = {
         mainSectionHeader: true,
@@ -704,7 +851,12 @@ function updateTableOfContents(contentElement) {
 
     // Select headings based on settings
     let selector = 'h1, h2, h3';
-    const headings = contentElement.querySelectorAll(selector);
+    const headings = toc
+        ? toc
+            .filter(entry => entry.level <= 3)
+            .map(entry => document.getElementById(entry.id))
+            .filter(Boolean)
+        : contentElement.querySelectorAll(selector);
     const sidebarRight = document.querySelector('.sidebar-right ul');
     const mobileRightSidebar = document.querySelector('.mobile-right-sidebar-content');
 
@@ -843,5 +995,6 @@ export {
     loadCategoryIndex,
     initializeSuperCategorySelector,
     updatePageHeaderControls,
-    updateTableOfContents
+    updateTableOfContents,
+    replaceMovedPageUrl
 };
\ No newline at end of file
@@ -119,13 +119,6 @@ async function copyPageToClipboard() {
     const mainCopyBtn = document.getElementById('main-copy-btn');
 
     try {
-        // Check if currentFile is available
-        if (typeof currentFile === 'undefined' || !currentFile) {
-            console.error('No file is currently loaded');
-            showCopyError(mainCopyBtn, 'No file loaded');
-            return;
-        }
-
         const markdown = await fetchCurrentMarkdown();
 
         // Copy to clipboard
@@ -140,13 +133,9 @@ async function copyPageToClipboard() {
 }
 
 // Fetch current markdown content
+// Every docs page URL serves its cleaned source with a ".md" suffix
 async function fetchCurrentMarkdown() {
-    // currentFile is defined in docs-products.js as a global variable
-    if (typeof currentFile === 'undefined' || !currentFile) {
-        throw new Error('No file is currently loaded');
-    }
-
-    const response = await fetch(`/docs/content/${currentFile}`);
+    const response = await fetch(`${getCurrentPagePath()}.md`);
     if (!response.ok) {
         throw new Error(`Failed to fetch markdown: ${response.statusText}`);
     }
@@ -271,35 +260,30 @@ async function downloadPageAsMarkdown() {
     }
 }
 
+// Get the URL path of the current page without trailing slash
+function getCurrentPagePath() {
+    return window.location.pathname.replace(/\/+$/, '');
+}
+
 // Get current page filename for download
 function getCurrentPageFilename() {
-    // currentFile is a global variable from docs-products.js
-    if (typeof currentFile === 'undefined' || !currentFile) {
-        return 'document.md';
-    }
-
-    // Extract filename from path: productId/categoryName/fileName.md
-    const pathParts = currentFile.split('/');
-    const fileName = pathParts[pathParts.length - 1];
+    // Last URL segment: /productId/category/page-slug
+    const pathParts = getCurrentPagePath().split('/');
+    const pageSlug = decodeURIComponent(pathParts[pathParts.length - 1] || '');
 
     // Sanitize filename (remove invalid characters)
-    const sanitized = fileName.replace(/[<>:"/\\|?*]/g, '-');
+    const sanitized = pageSlug.replace(/[<>:"/\\|?*]/g, '-');
 
-    return sanitized || 'document.md';
+    return sanitized ? `${sanitized}.md` : 'document.md';
 }
 
 // Get current page title for display
 function getCurrentPageTitle() {
-    // currentFile is a global variable from docs-products.js
-    if (typeof currentFile === 'undefined' || !currentFile) {
-        return 'Document';
-    }
-
-    const pathParts = currentFile.split('/');
-    const fileName = pathParts[pathParts.length - 1];
+    const pathParts = getCurrentPagePath().split('/');
+    const pageSlug = decodeURIComponent(pathParts[pathParts.length - 1] || '');
 
-    // Remove .md extension and format
-    return fileName.replace('.md', '').replace(/-/g, ' ');
+    // Format the slug
+    return pageSlug.replace(/-/g, ' ') || 'Document';
 }
 
 // Initialize when the module is loaded (lazy loaded by docs page)
@@ -7,7 +7,7 @@
 // Import component orchestrator for initializing interactive components
 import { initializeComponentScripts } from './component-orchestrator.js';
 // Import sidebar rendering functions
-import { renderSidebarTree, loadMarkdownFileByPath, loadCategoryIndex } from './docs-nested-categories.js';
+import { renderSidebarTree, loadMarkdownFileByPath, loadCategoryIndex, replaceMovedPageUrl } from './docs-nested-categories.js';
 
 let currentProduct = null;
 let currentCategory = null;
@@ -126,29 +126,42 @@ async function loadProductDocs(productId, specificFilePath = null) {
         // Store current product
         currentProduct = productId;
 
-        // Load tree structure for this product
-        const response = await fetch(`/api/docs/${productId}/tree`);
+        // Older versions and other languages are addressed by URL prefixes (e.g. /docs/@v1.2/de/...)
+        const { rootPath, version, locale, pagePath } = await parseDocsPath(productId, specificFilePath || '');
+        const query = new URLSearchParams();
+        if (version) query.set('version', version);
+        if (locale) query.set('lang', locale);
+        const queryString = query.toString() ? `?${query}` : '';
+
+        // Load tree structure and top-level sections for this product
+        const [response, superCategories] = await Promise.all([
+            fetch(`/api/docs/${productId}/tree${queryString}`),
+            fetchSuperCategories(productId, queryString)
+        ]);
         if (!response.ok) {
             throw new Error(`Failed to load product tree: ${response.status}`);
         }
 
         const data = await response.json();
+        if (data.locale) {
+            document.documentElement.lang = data.locale;
+        }
 
         // Render sidebar with tree structure
         if (typeof renderSidebarTree === 'function') {
-            renderSidebarTree(data.tree, productId);
+            renderSidebarTree(data.tree, productId, superCategories, rootPath);
         } else {
             console.error('renderSidebarTree function not found. Make sure docs-nested-categories.js is loaded.');
         }
 
         // Load the specified file if provided
-        if (specificFilePath) {
+        if (pagePath) {
             if (typeof loadMarkdownFileByPath === 'function') {
                 await loadMarkdownFileByPath(productId, specificFilePath);
             }
         } else {
             // Load first available file from tree
-            loadFirstAvailableFile(data.tree, productId);
+            loadFirstAvailableFile(data.tree, productId, rootPath);
         }
     } catch (error) {
         console.error('Error loading product docs:', error);
@@ -255,6 +268,61 @@ function buildSidebar(categories, productId, superCategory) {
     });
 }
 
+// Split a docs path into its version and language prefixes and the page path
+// e.g. "@v1.2/de/documentation/setup" -> {rootPath: ['@v1.2', 'de'], version: 'v1.2', locale: 'de', pagePath: 'documentation/setup'}
+async function parseDocsPath(productId, docsPath) {
+    const segments = docsPath.split('/').filter(p => p);
+    const rootPath = [];
+    let version = null;
+    let locale = null;
+
+    if (segments[0] && segments[0].startsWith('@')) {
+        rootPath.push(segments.shift());
+        version = rootPath[0].slice(1);
+    }
+
+    if (segments.length > 0) {
+        const locales = await fetchLocales(productId);
+        if (locales.includes(segments[0].toLowerCase())) {
+            rootPath.push(segments.shift());
+            locale = rootPath[rootPath.length - 1].toLowerCase();
+        }
+    }
+
+    return { rootPath, version, locale, pagePath: segments.join('/') };
+}
+
+// Fetch the language codes of a product (empty when it is not translated)
+async function fetchLocales(productId) {
+    try {
+        const response = await fetch(`/api/docs/${productId}/locales`);
+        if (!response.ok) {
+            throw new Error(`Failed to load locales: ${response.status}`);
+        }
+        const data = await response.json();
+        return data.locales || [];
+    } catch (error) {
+        console.error('Error loading locales:', error);
+        return [];
+    }
+}
+
+// Fetch the top-level sections (super-categories) of a product
+// Returns null when they cannot be loaded so the sidebar falls back to the tree
+async function fetchSuperCategories(productId, queryString = '') {
+    try {
+        const response = await fetch(`/api/docs/${productId}/super-categories${queryString}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load super-categories: ${response.status}`);
+        }
+        const data = await response.json();
+        return data.superCategories;
+    } catch (error) {
+        console.error('Error loading super-categories:', error);
+        return null;
+    }
+}
+
 // Load super-categories for a product
 // NOTE: This function is deprecated - new code uses renderSidebarTree from docs-nested-categories.js
 async function loadSuperCategories(productId) {
@@ -397,6 +465,9 @@ async function loadMarkdownFile(filePath) {
         // Parse JSON response
         const data = await response.json();
 
+        // Name-based paths are redirected to the page's slug URL
+        replaceMovedPageUrl(response, productId, data);
+
         // Response now includes pre-rendered HTML from the server:
         // - content: pre-rendered HTML (ready to inject)
         // - rawContent: raw markdown (for editing)
@@ -434,7 +505,7 @@ async function loadMarkdownFile(filePath) {
         updatePageHeaderControls(filePath);
 
         // Update right sidebar (table of contents)
-        updateTableOfContents(dynamicContent);
+        updateTableOfContents(dynamicContent, data.toc);
 
         // Trigger event for docs.js to add copy button listeners
         const event = new CustomEvent('markdownLoaded');
@@ -502,7 +573,8 @@ function formatFileName(fileName) {
 }
 
 // Update table of contents in right sidebar
-async function updateTableOfContents(contentElement) {
+// Uses the server-side table of contents ([{level, id, text}]) when available
+async function updateTableOfContents(contentElement, toc = null) {
     // Load config to check sidebar settings
     let config = null;
     try {
@@ -544,7 +616,12 @@ async function updateTableOfContents(contentElement) {
     }
 
     selector = selectors.join(', ');
-    const headings = contentElement.querySelectorAll(selector);
+    const headings = toc
+        ? toc
+            .filter(entry => selectors.includes(`h${entry.level}`))
+            .map(entry => document.getElementById(entry.id))
+            .filter(Boolean)
+        : contentElement.querySelectorAll(selector);
     const sidebarRight = document.querySelector('.sidebar-right ul');
     const mobileRightSidebar = document.querySelector('.mobile-right-sidebar-content');
 
@@ -589,7 +589,18 @@ async function handleDocsSearch() {
 
     try {
         // Call server-side search API
-        const apiUrl = `/api/search?q=${encodeURIComponent(query)}&limit=50`;
+        let apiUrl = `/api/search?q=${encodeURIComponent(query)}&limit=50`;
+
+        // While reading an older version (/product/@v1.2/...), search only that version
+        const [productSegment, versionSegment] = window.location.pathname.split('/').filter(p => p);
+        if (versionSegment && versionSegment.startsWith('@')) {
+            apiUrl += `&product=${encodeURIComponent(productSegment)}&version=${encodeURIComponent(versionSegment.slice(1))}`;
+        }
+
+        // Search the language the docs are read in (set when the product tree loads)
+        if (document.documentElement.lang) {
+            apiUrl += `&lang=${encodeURIComponent(document.documentElement.lang)}`;
+        }
         console.log('[Search] Fetching from:', apiUrl);
 
         const response = await fetch(apiUrl);
@@ -606,9 +617,13 @@ async function handleDocsSearch() {
         //   results: [
         //     {
         //       score: 0.1,
-        //       title: "Page Title",
-        //       content: "Preview text...",
+        //       title: "Section Heading",
+        //       pageTitle: "Page Title",
+        //       headings: ["Page Title", "Section Heading"],
+        //       matches: { title: [[0, 15]], content: [[8, 15]] },
+        //       snippet: { text: "...Section text...", highlights: [[3, 10]] },
         //       path: "product/category/file.md",
+        //       url: "/product/category/page#section-heading",
         //       urlSlug: "url-slug",
         //       category: "category-name",
         //       productId: "product-id"
@@ -628,11 +643,15 @@ async function handleDocsSearch() {
         const displayResults = data.results.map(result => ({
             productId: result.productId,
             productName: result.productId, // Could be enhanced with product name lookup
-            name: result.title,
+            name: result.pageTitle || result.title,
+            title: result.title,
+            headings: result.headings || [],
             category: result.category,
-            content: result.content,
+            matches: result.matches || {},
+            snippet: result.snippet,
             file: result.path,
             urlSlug: result.urlSlug,
+            url: result.url,
             type: 'md'
         }));
 
@@ -743,18 +762,24 @@ function createDocsCategorySection(category, entries, query) {
  */
 function createDocsResultItem(entry, query) {
     const icon = getDocsIcon(entry.type);
-    const preview = getContentPreview(entry.content, query);
+    const preview = entry.snippet ? highlightRanges(entry.snippet.text, entry.snippet.highlights) : '';
     // Include super-category in breadcrumb
     const breadcrumb = entry.superCategory
         ? `${entry.productName} > ${entry.superCategory} > ${entry.category}`
-        : `${entry.productName} / ${entry.category} / ${entry.name}`;
+        : `${entry.productName} / ${entry.category}`;
+    // Section results show their heading hierarchy (e.g. "Configuration › Ports"), which ends with the matched title
+    const title = entry.headings && entry.headings.length > 1 ? entry.headings.join(' › ') : entry.name;
+    const titleOffset = title.endsWith(entry.title) ? title.length - entry.title.length : -1;
+    const titleRanges = titleOffset >= 0
+        ? (entry.matches.title || []).map(([start, end]) => [start + titleOffset, end + titleOffset])
+        : [];
 
     return `
-        <div class="docs-result-item" data-entry='${JSON.stringify({productId: entry.productId, file: entry.file, id: entry.id, name: entry.name, superCategory: entry.superCategoryFull, categoryId: entry.categoryId})}'>
+        <div class="docs-result-item" data-entry='${escapeHtml(JSON.stringify({productId: entry.productId, file: entry.file, id: entry.id, name: entry.name, url: entry.url, superCategory: entry.superCategoryFull, categoryId: entry.categoryId}))}'>
             <div class="docs-result-icon">${icon}</div>
             <div class="docs-result-content">
                 <div class="docs-result-breadcrumb">${escapeHtml(breadcrumb)}</div>
-                <div class="docs-result-title">${escapeHtml(entry.name)}</div>
+                <div class="docs-result-title">${highlightRanges(title, titleRanges)}</div>
                 ${preview ? `<div class="docs-result-preview">${preview}</div>` : ''}
             </div>
         </div>
@@ -762,32 +787,21 @@ function createDocsResultItem(entry, query) {
 }
 
 /**
- * Get content preview with highlighted search term
+ * Escape text and mark the ranges that matched the search
+ * @param {string} text - Text to display
+ * @param {Array<Array<number>>} ranges - Sorted [start, end) ranges from the search API
+ * @returns {string} HTML
  */
-function getContentPreview(content, query) {
-    if (!content || !query) return '';
-
-    const lowerContent = content.toLowerCase();
-    const lowerQuery = query.toLowerCase();
-    const index = lowerContent.indexOf(lowerQuery);
-
-    if (index === -1) return '';
-
-    // Get context around the match (50 chars before and after)
-    const start = Math.max(0, index - 50);
-    const end = Math.min(content.length, index + query.length + 50);
+function highlightRanges(text, ranges = []) {
+    let html = '';
+    let position = 0;
 
-    let preview = content.substring(start, end);
-
-    // Add ellipsis if needed
-    if (start > 0) preview = '...' + preview;
-    if (end < content.length) preview = preview + '...';
-
-    // Highlight the search term
-    const regex = new RegExp(`(${escapeRegex(query)})`, 'gi');
-    preview = escapeHtml(preview).replace(regex, '<mark>$1</mark>');
+    ranges.forEach(([start, end]) => {
+        html += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
 
-    return preview;
+    return html + escapeHtml(text.slice(position));
 }
 
 /**
@@ -851,7 +865,9 @@ function handleDocsResultClick(entry) {
     closeDocsSearchPopup();
 
     // Navigate to the documentation using new product-based URL structure
-    if (entry.file && entry.productId) {
+    if (entry.url) {
+        window.location.href = entry.url;
+    } else if (entry.file && entry.productId) {
         // Navigate to product documentation page with file parameter
         const newUrl = `${window.location.pathname}?product=${entry.productId}&file=${encodeURIComponent(entry.file)}`;
         window.location.href = newUrl;
@@ -988,10 +1004,3 @@ function escapeHtml(text) {
     };
     return String(text).replace(/[&<>"']/g, m => map[m]);
 }
-
-/**
- * Escape regex special characters
- */
-function escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
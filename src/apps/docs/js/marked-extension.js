@@ -1,8 +1,12 @@
 /**
  * Enhanced Marked.js Extensions for QuantomDocs
- * Supports: Callouts, Tabs, Steps, Accordions, CodeGroups, Columns, Frames, Expandables, ResponseFields
+ * Supports: Callouts, Tabs, Steps, Accordions, CodeGroups, Columns, Frames, Expandables, ResponseFields, Updates
  *
- * This module defines custom tokenizers and uses modular component renderers
+ * This module defines custom tokenizers and uses modular component renderers.
+ * It is shared by the browser and the server (fileService imports it), so it must
+ * not depend on browser globals: nested content is lexed with this.lexer and
+ * rendered with this.parser, and code highlighting is injected through
+ * createMarkedExtensions().
  */
 
 // Import modular component render functions
@@ -11,20 +15,24 @@ import { renderTabs } from './components/Tabs.js';
 import { renderSteps } from './components/Steps.js';
 import { renderAccordion, renderAccordionGroup } from './components/Accordions.js';
 import { renderCodeGroup } from './components/CodeGroups.js';
+import { renderCodeBlock, splitCodeInfo, parseCodeMeta } from './components/CodeBlocks.js';
+import { renderColumns } from './components/Columns.js';
 import { renderFrame } from './components/Frames.js';
 import { renderExpandable } from './components/Expandables.js';
 import { renderResponseField } from './components/ResponseFields.js';
+import { renderUpdate } from './components/Updates.js';
 
 /**
- * Escape HTML special characters
+ * Default code highlighter using the global Prism instance (browser only)
+ * @param {string} code - Source code
+ * @param {string} language - Language identifier
+ * @returns {string|null} Highlighted HTML, or null if Prism or the language is unavailable
  */
-function escapeHtml(html) {
-    return html
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
+function highlightWithPrism(code, language) {
+    if (typeof Prism === 'undefined' || !Prism.languages[language]) {
+        return null;
+    }
+    return Prism.highlight(code, Prism.languages[language], language);
 }
 
 // ==================== CALLOUTS ====================
@@ -114,7 +122,10 @@ const tabs = {
                 const iconMatch = props.match(/icon="([^"]+)"/);
                 if (iconMatch) icon = iconMatch[1];
 
-                tabItems.push({ title, icon, content });
+                const tabTokens = [];
+                this.lexer.blockTokens(content, tabTokens);
+
+                tabItems.push({ title, icon, content, tokens: tabTokens });
             }
 
             return {
@@ -126,7 +137,12 @@ const tabs = {
     },
     renderer(token) {
         const uniqueId = 'tabs-' + Math.random().toString(36).substr(2, 9);
-        return renderTabs(token.tabs, uniqueId);
+        const tabItems = token.tabs.map(tab => ({
+            ...tab,
+            contentHTML: this.parser.parse(tab.tokens)
+        }));
+
+        return renderTabs(tabItems, uniqueId);
     }
 };
 
@@ -157,7 +173,10 @@ const steps = {
                 const iconMatch = props.match(/icon="([^"]+)"/);
                 if (iconMatch) icon = iconMatch[1];
 
-                stepItems.push({ title, icon, content });
+                const stepTokens = [];
+                this.lexer.blockTokens(content, stepTokens);
+
+                stepItems.push({ title, icon, content, tokens: stepTokens });
             }
 
             return {
@@ -168,7 +187,12 @@ const steps = {
         }
     },
     renderer(token) {
-        return renderSteps(token.steps);
+        const stepItems = token.steps.map(step => ({
+            ...step,
+            contentHTML: this.parser.parse(step.tokens)
+        }));
+
+        return renderSteps(stepItems);
     }
 };
 
@@ -200,7 +224,7 @@ const accordion = {
             if (defaultOpenMatch) defaultOpen = true;
             if (descMatch) description = descMatch[1];
 
-            return {
+            const token = {
                 type: 'accordion',
                 raw: match[0],
                 title,
@@ -210,10 +234,12 @@ const accordion = {
                 text: content,
                 tokens: []
             };
+            this.lexer.blockTokens(token.text, token.tokens);
+            return token;
         }
     },
     renderer(token) {
-        const html = marked.parse(token.text);
+        const html = this.parser.parse(token.tokens);
         const uniqueId = 'accordion-' + Math.random().toString(36).substr(2, 9);
 
         return renderAccordion(
@@ -261,7 +287,10 @@ const accordionGroup = {
                 if (iconMatch) icon = iconMatch[1];
                 if (defaultOpenMatch) defaultOpen = true;
 
-                accordionItems.push({ title, icon, defaultOpen, content });
+                const accordionTokens = [];
+                this.lexer.blockTokens(content, accordionTokens);
+
+                accordionItems.push({ title, icon, defaultOpen, content, tokens: accordionTokens });
             }
 
             return {
@@ -272,12 +301,17 @@ const accordionGroup = {
         }
     },
     renderer(token) {
-        return renderAccordionGroup(token.accordions);
+        const accordionItems = token.accordions.map(item => ({
+            ...item,
+            contentHTML: this.parser.parse(item.tokens)
+        }));
+
+        return renderAccordionGroup(accordionItems);
     }
 };
 
 // ==================== CODE GROUPS ====================
-const codeGroup = {
+const createCodeGroup = (highlightCode) => ({
     name: 'codeGroup',
     level: 'block',
     start(src) {
@@ -293,15 +327,16 @@ const codeGroup = {
             // Check for dropdown prop
             const isDropdown = props.includes('dropdown');
 
-            // Extract code blocks
+            // Extract code blocks (the fence meta holds the tab title)
             const codeBlocks = [];
-            const codeRegex = /```(\w+)\s+([^\n]+)\n([\s\S]*?)```/g;
+            const codeRegex = /```([\w-]+)\s+([^\n]+)\n([\s\S]*?)```/g;
             let codeMatch;
             while ((codeMatch = codeRegex.exec(content)) !== null) {
                 const language = codeMatch[1];
-                const title = codeMatch[2].trim();
-                const code = codeMatch[3];
-                codeBlocks.push({ language, title, code });
+                const code = codeMatch[3].replace(/\n$/, '');
+                const options = parseCodeMeta(codeMatch[2], code.split('\n').length);
+                const title = options.title || language;
+                codeBlocks.push({ language, title, code, options });
             }
 
             return {
@@ -314,9 +349,9 @@ const codeGroup = {
     },
     renderer(token) {
         const uniqueId = 'codegroup-' + Math.random().toString(36).substr(2, 9);
-        return renderCodeGroup(token.codeBlocks, token.isDropdown, uniqueId);
+        return renderCodeGroup(token.codeBlocks, token.isDropdown, uniqueId, highlightCode);
     }
-};
+});
 
 // ==================== COLUMNS ====================
 const columns = {
@@ -346,7 +381,10 @@ const columns = {
                 const iconMatch = props.match(/icon="([^"]+)"/);
                 if (iconMatch) icon = iconMatch[1];
 
-                cards.push({ title, icon, content: cardContent });
+                const cardTokens = [];
+                this.lexer.blockTokens(cardContent, cardTokens);
+
+                cards.push({ title, icon, content: cardContent, tokens: cardTokens });
             }
 
             return {
@@ -358,24 +396,12 @@ const columns = {
         }
     },
     renderer(token) {
-        const cardsHtml = token.cards.map(card => {
-            const html = marked.parse(card.content);
-            const iconHtml = card.icon ? `<i class="fas fa-${card.icon} card-icon"></i>` : '';
-
-            return `
-                <div class="column-card">
-                    ${iconHtml}
-                    <h3 class="card-title">${card.title}</h3>
-                    <div class="card-content">${html}</div>
-                </div>
-            `;
-        }).join('');
+        const cards = token.cards.map(card => ({
+            ...card,
+            contentHTML: this.parser.parse(card.tokens)
+        }));
 
-        return `
-            <div class="columns-container" style="grid-template-columns: repeat(${token.cols}, 1fr);">
-                ${cardsHtml}
-            </div>
-        `;
+        return renderColumns(token.cols, cards);
     }
 };
 
@@ -398,17 +424,19 @@ const frame = {
             const captionMatch = props.match(/caption="([^"]+)"/);
             if (captionMatch) caption = captionMatch[1];
 
-            return {
+            const token = {
                 type: 'frame',
                 raw: match[0],
                 caption,
                 text: content,
                 tokens: []
             };
+            this.lexer.blockTokens(token.text, token.tokens);
+            return token;
         }
     },
     renderer(token) {
-        const html = marked.parse(token.text);
+        const html = this.parser.parse(token.tokens);
 
         return renderFrame(
             { caption: token.caption },
@@ -437,7 +465,7 @@ const expandable = {
             const defaultOpenMatch = props.match(/defaultOpen\s*=\s*(true|"true")/);
             if (defaultOpenMatch) defaultOpen = true;
 
-            return {
+            const token = {
                 type: 'expandable',
                 raw: match[0],
                 title,
@@ -445,10 +473,12 @@ const expandable = {
                 text: content,
                 tokens: []
             };
+            this.lexer.blockTokens(token.text, token.tokens);
+            return token;
         }
     },
     renderer(token) {
-        const html = marked.parse(token.text);
+        const html = this.parser.parse(token.tokens);
         const uniqueId = 'expandable-' + Math.random().toString(36).substr(2, 9);
 
         return renderExpandable(
@@ -489,7 +519,7 @@ const responseField = {
             const defaultMatch = props.match(/default="([^"]+)"/);
             if (defaultMatch) defaultValue = defaultMatch[1];
 
-            return {
+            const token = {
                 type: 'responseField',
                 raw: match[0],
                 name,
@@ -500,10 +530,12 @@ const responseField = {
                 text: content,
                 tokens: []
             };
+            this.lexer.blockTokens(token.text, token.tokens);
+            return token;
         }
     },
     renderer(token) {
-        const html = marked.parse(token.text);
+        const html = this.parser.parse(token.tokens);
 
         return renderResponseField(
             {
@@ -518,6 +550,58 @@ const responseField = {
     }
 };
 
+// ==================== UPDATES ====================
+// Changelog entries: <Update date="2024-05-01" label="v1.2.0" tags="Feature, API">
+const update = {
+    name: 'update',
+    level: 'block',
+    start(src) {
+        return src.match(/<Update(\s|>)/)?.index;
+    },
+    tokenizer(src, tokens) {
+        const rule = /^<Update\s+date="(\d{4}-\d{2}-\d{2})"([^>]*)>([\s\S]*?)<\/Update>/;
+        const match = rule.exec(src);
+        if (match) {
+            const date = match[1];
+            const props = match[2];
+            const content = match[3].trim();
+
+            // Parse label and comma-separated tags
+            let label = null;
+            const labelMatch = props.match(/label="([^"]+)"/);
+            if (labelMatch) label = labelMatch[1];
+
+            let tags = [];
+            const tagsMatch = props.match(/tags="([^"]+)"/);
+            if (tagsMatch) tags = tagsMatch[1].split(',').map(tag => tag.trim()).filter(Boolean);
+
+            const token = {
+                type: 'update',
+                raw: match[0],
+                date,
+                label,
+                tags,
+                text: content,
+                tokens: []
+            };
+            this.lexer.blockTokens(token.text, token.tokens);
+            return token;
+        }
+    },
+    renderer(token) {
+        const html = this.parser.parse(token.tokens);
+
+        return renderUpdate(
+            {
+                date: token.date,
+                label: token.label,
+                tags: token.tags
+            },
+            html
+        );
+    }
+};
+
 // ==================== LEGACY SUPPORT ====================
 
 // Custom extension for :::info and :::warning blocks (legacy support)
@@ -624,38 +708,13 @@ const coloredText = {
 
 // ==================== CUSTOM CODE RENDERER ====================
 
-// Custom renderer for code blocks with Prism.js syntax highlighting
-const customCodeRenderer = {
-    code(token, lang, escaped) {
+// Custom renderer for code blocks with syntax highlighting (Prism.js in the browser, lowlight on the server)
+const createCustomCodeRenderer = (highlightCode) => ({
+    code(token) {
         const actualCodeString = token.text || '';
-        const language = lang || token.lang || 'plaintext';
-
-        const validLang = language && Prism.languages[language] ? language : 'plaintext';
-        let highlighted = actualCodeString;
+        const { language, meta } = splitCodeInfo(token.lang);
 
-        if (validLang !== 'plaintext' && Prism.languages[validLang]) {
-            try {
-                highlighted = Prism.highlight(actualCodeString, Prism.languages[validLang], validLang);
-            } catch (e) {
-                highlighted = escapeHtml(actualCodeString);
-            }
-        } else {
-            highlighted = escapeHtml(actualCodeString);
-        }
-
-        const languageLabel = validLang.charAt(0).toUpperCase() + validLang.slice(1);
-
-        return `
-            <div class="code-block-wrapper">
-                <div class="code-block-header">
-                    <span class="code-language">${languageLabel}</span>
-                    <button class="copy-code-btn" data-clipboard-text="${escapeHtml(actualCodeString)}">
-                        <i class="fa-regular fa-copy"></i> Copy
-                    </button>
-                </div>
-                <pre class="language-${validLang}"><code class="language-${validLang}">${highlighted}</code></pre>
-            </div>
-        `;
+        return renderCodeBlock(actualCodeString, language, highlightCode, meta);
     },
     // Custom renderer for images to add lazy loading
     image(token) {
@@ -665,29 +724,41 @@ const customCodeRenderer = {
 
         return `<img src="${href}" alt="${text}" title="${title}" loading="lazy">`;
     }
-};
+});
 
 // ==================== EXPORT MARKED CONFIGURATION ====================
 
-// Export the extensions and renderer for use in marked.use()
-export const markedExtensions = {
-    extensions: [
-        callout,
-        tabs,
-        steps,
-        accordion,
-        accordionGroup,
-        codeGroup,
-        columns,
-        frame,
-        expandable,
-        responseField,
-        admonition,
-        button,
-        coloredText
-    ],
-    renderer: customCodeRenderer
-};
+/**
+ * Create the extensions and renderer for use in marked.use()
+ * @param {Object} options - {highlightCode: (code, language) => HTML or null}
+ * @returns {Object} Marked extension pack
+ */
+export function createMarkedExtensions(options = {}) {
+    const highlightCode = options.highlightCode || highlightWithPrism;
+
+    return {
+        extensions: [
+            callout,
+            tabs,
+            steps,
+            accordion,
+            accordionGroup,
+            createCodeGroup(highlightCode),
+            columns,
+            frame,
+            expandable,
+            responseField,
+            update,
+            admonition,
+            button,
+            coloredText
+        ],
+        renderer: createCustomCodeRenderer(highlightCode)
+    };
+}
+
+// Default configuration (browser, Prism.js highlighting)
+export const markedExtensions = createMarkedExtensions();
 
 // Initialize marked with extensions (if marked is available globally)
 if (typeof marked !== 'undefined') {
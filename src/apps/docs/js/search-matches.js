@@ -0,0 +1,140 @@
+/**
+ * Search Matches
+ * Match ranges and snippets of search results
+ *
+ * Shared by the server search (src/backend/services/searchService.js) and the in-browser
+ * search of static sites (static-mode.js), so both mark the same matches.
+ */
+
+// Length of result snippets, and how much text they show before the match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Get the edit distance of two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Levenshtein distance
+ */
+export function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Find the query words in a text
+ * A word matches where it occurs; a word that occurs nowhere matches the words of the text
+ * within the edit distance the fuzzy threshold allows (e.g. "distanse" matches "distance").
+ * @param {string} text - Field value
+ * @param {Array<string>} words - Lowercase query words
+ * @param {number} threshold - Fuzzy threshold of the index (Fuse.js `threshold`)
+ * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end) ranges
+ */
+export function findMatchRanges(text, words, threshold) {
+    const lowerText = String(text || '').toLowerCase();
+    const ranges = [];
+
+    for (const word of words) {
+        const count = ranges.length;
+        for (let index = lowerText.indexOf(word); index !== -1; index = lowerText.indexOf(word, index + word.length)) {
+            ranges.push([index, index + word.length]);
+        }
+
+        const maxDistance = Math.floor(word.length * threshold);
+        if (ranges.length > count || maxDistance === 0) continue;
+
+        for (const match of lowerText.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (Math.abs(match[0].length - word.length) <= maxDistance && getEditDistance(match[0], word) <= maxDistance) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+    }
+
+    // Merge overlapping matches of different words
+    return ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+            return merged;
+        }, []);
+}
+
+/**
+ * Get the match ranges of a search result by field
+ * @param {object} doc - Search document
+ * @param {string} query - Search query
+ * @param {object} options - Fuse.js options of the index {keys, threshold, minMatchCharLength}
+ * @returns {object} [start, end) ranges by searched field, array fields by item
+ *                   (e.g. {title: [[0, 5]], content: [[12, 16]], "tags.1": [[0, 4]]})
+ */
+export function getMatchRanges(doc, query, options) {
+    const words = query.toLowerCase().split(/\s+/).filter(word => word.length >= options.minMatchCharLength);
+    const matches = {};
+
+    for (const { name } of options.keys) {
+        const values = Array.isArray(doc[name]) ? doc[name] : [doc[name]];
+
+        values.forEach((value, index) => {
+            const ranges = findMatchRanges(value, words, options.threshold);
+            if (ranges.length > 0) {
+                matches[Array.isArray(doc[name]) ? `${name}.${index}` : name] = ranges;
+            }
+        });
+    }
+
+    return matches;
+}
+
+/**
+ * Cut a snippet around the best (longest) match of a text
+ * The snippet starts SNIPPET_CONTEXT characters before the match, at a word; cut ends get "...".
+ * @param {string} text - Section text
+ * @param {Array<Array<number>>} ranges - [start, end) match ranges in the text
+ * @returns {object} {text, highlights} - highlights are [start, end) ranges in the snippet text
+ */
+export function buildSnippet(text, ranges = []) {
+    const content = text || '';
+    const best = ranges.reduce((longest, range) => (
+        !longest || range[1] - range[0] > longest[1] - longest[0] ? range : longest
+    ), null);
+
+    let start = best ? Math.min(Math.max(0, best[0] - SNIPPET_CONTEXT), Math.max(0, content.length - SNIPPET_LENGTH)) : 0;
+    if (start > 0) {
+        const wordStart = content.indexOf(' ', start) + 1;
+        start = wordStart > 0 && wordStart <= best[0] ? wordStart : start;
+    }
+
+    let end = Math.min(content.length, start + SNIPPET_LENGTH);
+    if (end < content.length) {
+        const wordEnd = content.lastIndexOf(' ', end);
+        end = wordEnd > (best ? best[1] : start) ? wordEnd : end;
+    }
+
+    const prefix = start > 0 ? '...' : '';
+    const suffix = end < content.length ? '...' : '';
+
+    return {
+        text: prefix + content.slice(start, end) + suffix,
+        highlights: ranges
+            .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+            .map(([rangeStart, rangeEnd]) => [rangeStart - start + prefix.length, rangeEnd - start + prefix.length])
+    };
+}
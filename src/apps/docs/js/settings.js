@@ -515,6 +515,9 @@ function loadTabContent(tabName) {
         case 'editor':
             loadEditorTab();
             break;
+        case 'translations':
+            loadTranslationsTab();
+            break;
         case 'overview':
             // Future: load overview data
             break;
@@ -1074,6 +1077,7 @@ async function loadSettingsTab() {
         if (response.ok) {
             const config = await response.json();
             renderSettingsConfig(config);
+            loadRedirectsSettings();
         } else {
             container.innerHTML = '<div class="empty-state"><i class="fas fa-exclamation-triangle empty-icon"></i><h3>Error Loading Settings</h3><p>Could not load configuration.</p></div>';
         }
@@ -1283,6 +1287,187 @@ async function saveSettingsConfig(config) {
     }
 }
 
+/**
+ * Load the redirect editor below the settings
+ * Old page URLs answer with a 301 to the new URL; renames and moves in the editor add entries
+ */
+async function loadRedirectsSettings() {
+    const container = document.getElementById('settingsConfigContainer');
+    if (!container) return;
+
+    try {
+        const token = localStorage.getItem('authToken');
+        const response = await fetch('/api/config/redirects', {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        if (!response.ok) return;
+
+        const data = await response.json();
+
+        const section = document.createElement('div');
+        section.className = 'settings-group';
+        section.innerHTML = `
+            <div class="settings-section">
+                <h2 class="settings-section-title">Redirects</h2>
+                <div class="setting-item">
+                    <div class="setting-header">
+                        <div class="setting-info">
+                            <h3>Moved Pages</h3>
+                            <p>One redirect per line: <code>/old/url /new/url</code>. Renaming or moving pages in the editor adds entries automatically.</p>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <textarea id="redirectsInput" rows="10" spellcheck="false"></textarea>
+                    </div>
+                </div>
+            </div>
+            <div class="action-bar"><button class="btn btn-primary" id="saveRedirectsBtn"><i class="fas fa-save"></i> Save Redirects</button></div>
+        `;
+        container.appendChild(section);
+
+        document.getElementById('redirectsInput').value = data.redirects
+            .map(redirect => `${redirect.from} ${redirect.to}`)
+            .join('\n');
+        document.getElementById('saveRedirectsBtn').addEventListener('click', saveRedirects);
+    } catch (error) {
+        console.error('Error loading redirects:', error);
+    }
+}
+
+/**
+ * Save the redirects entered in the redirect editor
+ */
+async function saveRedirects() {
+    const saveBtn = document.getElementById('saveRedirectsBtn');
+    const input = document.getElementById('redirectsInput');
+    if (!saveBtn || !input) return;
+
+    // "/old /new" or "/old -> /new"
+    const redirects = input.value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const [from, to] = line.split(/\s+(?:->\s+)?/);
+            return { from, to };
+        });
+
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+
+    try {
+        const token = localStorage.getItem('authToken');
+        const response = await fetch('/api/config/redirects', {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ redirects })
+        });
+
+        if (response.ok) {
+            saveBtn.innerHTML = '<i class="fas fa-check"></i> Saved!';
+            setTimeout(() => {
+                saveBtn.disabled = false;
+                saveBtn.innerHTML = '<i class="fas fa-save"></i> Save Redirects';
+            }, 2000);
+        } else {
+            const data = await response.json();
+            alert(data.error || 'Failed to save redirects');
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = '<i class="fas fa-save"></i> Save Redirects';
+        }
+    } catch (error) {
+        console.error('Save redirects error:', error);
+        alert('Connection error. Please try again.');
+        saveBtn.disabled = false;
+        saveBtn.innerHTML = '<i class="fas fa-save"></i> Save Redirects';
+    }
+}
+
+// ==================== TRANSLATIONS TAB ====================
+/**
+ * Load the translation status of every translated product
+ */
+async function loadTranslationsTab() {
+    const container = document.getElementById('translationsContainer');
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading-state"><i class="fas fa-spinner fa-spin"></i><p>Loading translations...</p></div>';
+
+    try {
+        const token = localStorage.getItem('authToken');
+        const headers = { 'Authorization': `Bearer ${token}` };
+
+        const configResponse = await fetch('/api/config/docs', { headers });
+        if (!configResponse.ok) {
+            container.innerHTML = '<div class="empty-state"><i class="fas fa-exclamation-triangle empty-icon"></i><h3>Error Loading Translations</h3><p>Could not load configuration.</p></div>';
+            return;
+        }
+
+        const config = await configResponse.json();
+        const products = (config.products || []).filter(product => Array.isArray(product.locales) && product.locales.length > 1);
+
+        if (products.length === 0) {
+            container.innerHTML = '<div class="empty-state"><i class="fas fa-language empty-icon"></i><h3>No Translated Products</h3><p>Add <code>locales</code> to a product in docs-config.json to translate it.</p></div>';
+            return;
+        }
+
+        const reports = await Promise.all(products.map(async product => {
+            const response = await fetch(`/api/docs/${encodeURIComponent(product.id)}/translations`, { headers });
+            return response.ok ? { product, report: await response.json() } : { product, report: null };
+        }));
+
+        container.innerHTML = `<div class="settings-group">${reports.map(renderTranslationReport).join('')}</div>`;
+    } catch (error) {
+        console.error('Error loading translations:', error);
+        container.innerHTML = '<div class="empty-state"><i class="fas fa-exclamation-triangle empty-icon"></i><h3>Connection Error</h3><p>Could not connect to server.</p></div>';
+    }
+}
+
+/**
+ * Render the translation status of one product
+ */
+function renderTranslationReport({ product, report }) {
+    if (!report) {
+        return `
+            <div class="settings-section">
+                <h2 class="settings-section-title">${escapeHtml(product.name || product.id)}</h2>
+                <p>Could not load the translation status.</p>
+            </div>
+        `;
+    }
+
+    const renderList = (title, entries, describe) => `
+        <div class="setting-item">
+            <div class="setting-header">
+                <div class="setting-info">
+                    <h3>${title} (${entries.length})</h3>
+                </div>
+            </div>
+            ${entries.length > 0 ? `
+                <ul class="translation-list">
+                    ${entries.map(entry => `<li><code>${escapeHtml(entry.page)}</code>${describe(entry)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `;
+
+    return report.locales.map(locale => `
+        <div class="settings-section">
+            <h2 class="settings-section-title">${escapeHtml(product.name || product.id)} – ${escapeHtml(locale.locale)}</h2>
+            ${renderList('Missing', locale.missing, () => '')}
+            ${renderList('Outdated', locale.outdated, entry =>
+                ` – ${escapeHtml(entry.reason)}. Current revision: <code>translatedFrom: "${escapeHtml(entry.sourceRevision)}"</code>`)}
+            ${renderList('Up to date', locale.upToDate, () => '')}
+        </div>
+    `).join('');
+}
+
 // ==================== EDITOR TAB ====================
 /**
  * Editor state
@@ -2110,6 +2295,13 @@ const SLASH_COMMANDS = [
         icon: 'fa-database',
         template: `<ResponseField name="id" type="string" required>\nThe unique identifier\n</ResponseField>`
     },
+    {
+        command: '/update',
+        title: 'Update',
+        description: 'Insert dated changelog entry',
+        icon: 'fa-calendar',
+        template: `<Update date="2025-01-01" label="v1.0.0" tags="Feature">\nWhat changed in this release...\n</Update>`
+    },
     {
         command: '/h1',
         title: 'Heading 1',
@@ -2998,6 +3190,8 @@ function showConfirmation(title, message) {
 // ==================== DOWNLOADS MANAGEMENT TAB (Subphase 1.8) ====================
 
 // Global state for downloads configuration
+
+/**
  * Escape HTML to prevent XSS
  */
 function escapeHtml(text) {
@@ -0,0 +1,168 @@
+/**
+ * Docs Static Mode
+ * Runs the docs app without the server on sites written by `npm run build:static`
+ *
+ * Exported pages carry <meta name="docs-static" content="true">. In that case
+ * /api/docs requests are answered from the exported JSON files and /api/search
+ * searches the exported index in the browser. Loaded before all other docs scripts.
+ * @module DocsStaticMode
+ */
+
+(function () {
+    if (!document.querySelector('meta[name="docs-static"]')) {
+        return;
+    }
+
+    const nativeFetch = window.fetch.bind(window);
+
+    // Browser build of Fuse.js, copied next to this file by the export
+    const FUSE_SCRIPT = '/docs/js/vendor/fuse.min.js';
+
+    // Match and snippet helpers, shared with the server search (ES module)
+    const SEARCH_MATCHES_MODULE = '/docs/js/search-matches.js';
+
+    let searchPromise = null;
+
+    /**
+     * Get the file a static API response is stored in
+     * Keep in sync with getStaticApiPath in src/backend/services/staticExportService.js.
+     * @param {string} pathname - API URL path (e.g. "/api/docs/docs/tree")
+     * @param {object} params - Query parameters, empty values are ignored
+     * @returns {string} File path (e.g. "/api/docs/docs/tree/index.lang-de.version-v1.2.json")
+     */
+    function getStaticApiPath(pathname, params = {}) {
+        const suffix = Object.keys(params)
+            .filter(key => params[key])
+            .sort()
+            .map(key => `.${key}-${encodeURIComponent(String(params[key]).toLowerCase())}`)
+            .join('');
+        return `${pathname.replace(/\/+$/, '')}/index${suffix}.json`;
+    }
+
+    /**
+     * Load a classic script once
+     * @param {string} src - Script URL
+     * @returns {Promise<void>}
+     */
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Load the exported search index
+     * @returns {Promise<object>} {fuse, options, filters, matches} - matches: the search-matches.js module
+     */
+    function loadSearch() {
+        if (!searchPromise) {
+            searchPromise = Promise.all([
+                window.Fuse ? Promise.resolve() : loadScript(FUSE_SCRIPT),
+                nativeFetch('/api/search/index.json').then(response => {
+                    if (!response.ok) throw new Error(`Failed to load search index: ${response.status}`);
+                    return response.json();
+                }),
+                import(SEARCH_MATCHES_MODULE)
+            ]).then(([, index, matches]) => ({
+                fuse: new window.Fuse(index.documents, index.options),
+                options: index.options,
+                filters: index.filters,
+                matches
+            }));
+            searchPromise.catch(() => { searchPromise = null; });
+        }
+        return searchPromise;
+    }
+
+    /**
+     * Search the exported index like GET /api/search
+     * Only one version (latest unless requested) and language (default unless requested) per product.
+     * @param {URLSearchParams} params - Search parameters {q, product, version, lang, limit}
+     * @returns {Promise<object>} {query, results, count}
+     */
+    async function search(params) {
+        const query = params.get('q') || '';
+        const limit = parseInt(params.get('limit'), 10) || 20;
+        const product = params.get('product');
+        const version = (params.get('version') || '').replace(/^@/, '').toLowerCase();
+        const lang = (params.get('lang') || '').toLowerCase();
+
+        if (!query.trim()) {
+            return { query, results: [], count: 0 };
+        }
+
+        const { fuse, options, filters, matches: { getMatchRanges, buildSnippet } } = await loadSearch();
+
+        const results = fuse.search(query)
+            .filter(result => !product || result.item.productId === product)
+            .filter(result => {
+                const filter = filters[result.item.productId];
+                if (!filter) return false;
+
+                const wantedLocale = filter.locales.includes(lang) ? lang : filter.defaultLocale;
+                return result.item.version === filter.versions[version] && result.item.locale === wantedLocale;
+            })
+            .slice(0, limit)
+            .map(result => {
+                const { content, ...item } = result.item;
+                const matches = getMatchRanges(result.item, query, options);
+                return { score: result.score, ...item, matches, snippet: buildSnippet(content, matches.content) };
+            });
+
+        return { query, results, count: results.length };
+    }
+
+    /**
+     * Build a JSON response
+     * @param {object} data - Response body
+     * @param {number} status - HTTP status
+     * @returns {Response}
+     */
+    function jsonResponse(data, status = 200) {
+        return new Response(JSON.stringify(data), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    /**
+     * Answer /api requests from the exported files, pass everything else through
+     */
+    window.fetch = async function (input, init) {
+        const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+
+        if (url.origin !== window.location.origin || !url.pathname.startsWith('/api/')) {
+            return nativeFetch(input, init);
+        }
+
+        if (url.pathname === '/api/search') {
+            try {
+                return jsonResponse(await search(url.searchParams));
+            } catch (error) {
+                console.error('[DocsStaticMode] Search failed:', error);
+                return jsonResponse({ error: 'Search is not available' }, 503);
+            }
+        }
+
+        // Page images and downloads are exported as files
+        if (/^\/api\/docs\/[^/]+\/assets\//.test(url.pathname)) {
+            return nativeFetch(input, init);
+        }
+
+        if (url.pathname.startsWith('/api/docs/')) {
+            // Category landing pages are exported once, without the trailing "/index"
+            const pathname = decodeURIComponent(url.pathname).replace(/\/index$/, '');
+            const params = Object.fromEntries(url.searchParams);
+            const method = init && init.method ? init.method : 'GET';
+
+            return nativeFetch(getStaticApiPath(pathname, params), { method });
+        }
+
+        // Everything else needs the server (editor, settings, authentication)
+        return jsonResponse({ error: 'Not available on the static site' }, 404);
+    };
+})();
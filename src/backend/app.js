@@ -27,6 +27,17 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/components', express.static(path.join(__dirname, '..', 'components')));
 app.use('/shared', express.static(path.join(__dirname, '..', 'components'))); // Backward compatibility
 app.use('/main', express.static(path.join(__dirname, '..', 'apps', 'main')));
+// Server-only files in the docs folder (accounts, revoked tokens)
+const PRIVATE_DOCS_FILES = ['users.json', 'token-blacklist.json'].map(name => `/config/${name}`);
+app.use('/docs', (req, res, next) => {
+    let requestPath;
+    try {
+        requestPath = path.posix.normalize(decodeURIComponent(req.path));
+    } catch (error) {
+        return next();
+    }
+    return PRIVATE_DOCS_FILES.includes(requestPath) ? res.status(404).end() : next();
+});
 app.use('/docs', express.static(path.join(__dirname, '..', 'apps', 'docs')));
 app.use('/editor', express.static(path.join(__dirname, '..', 'apps', 'editor')));
 app.use('/downloads', express.static(path.join(__dirname, '..', 'apps', 'downloads')));
@@ -59,6 +70,15 @@ app.get('/api/health', (req, res) => {
 
 // Config management endpoints (kept from original server.js)
 const configManager = require('./utils/configManager');
+const fileService = require('./services/fileService');
+const searchService = require('./services/searchService');
+const redirectService = require('./services/redirectService');
+const sitemapService = require('./services/sitemapService');
+const seoService = require('./services/seoService');
+const llmsService = require('./services/llmsService');
+const fileAdapter = require('./data/fileSystemAdapter');
+const { renderPageShell } = require('./utils/pageShell');
+const { getSiteUrl } = require('./utils/siteUrl');
 const { verifyToken } = require('./middleware/auth');
 
 app.get('/api/config/docs', verifyToken, (req, res, next) => {
@@ -74,6 +94,10 @@ app.put('/api/config/docs', verifyToken, (req, res, next) => {
     try {
         const configData = req.body;
         if (configManager.writeConfig('docs', configData)) {
+            // Product variables may have changed: re-render and re-index every page
+            fileService.clearCache();
+            searchService.buildIndex().catch(error => console.error('[SearchService] Failed to rebuild search index after config change:', error));
+
             res.json({ success: true, message: 'Config updated successfully' });
         } else {
             res.status(500).json({ error: 'Failed to save config data' });
@@ -83,6 +107,23 @@ app.put('/api/config/docs', verifyToken, (req, res, next) => {
     }
 });
 
+app.get('/api/config/redirects', verifyToken, (req, res, next) => {
+    try {
+        res.json({ redirects: redirectService.getRedirects() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/api/config/redirects', verifyToken, (req, res, next) => {
+    try {
+        const redirects = redirectService.saveRedirects(req.body.redirects);
+        res.json({ success: true, message: 'Redirects updated successfully', redirects });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ==================== HTML Routes ====================
 
 // Root redirect to main page
@@ -112,6 +153,83 @@ const appFolders = fs.readdirSync(appsPath, { withFileTypes: true })
     .filter(dirent => dirent.isDirectory())
     .map(dirent => dirent.name);
 
+// Sitemap of all products (latest version, lastmod from the page files)
+app.get('/sitemap.xml', (req, res, next) => {
+    try {
+        res.type('application/xml').send(sitemapService.getSitemapXml(getSiteUrl(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/robots.txt', (req, res) => {
+    res.type('text/plain').send(sitemapService.getRobotsTxt(getSiteUrl(req)));
+});
+
+// Markdown of all pages for language models and AI tools
+app.get('/llms.txt', async (req, res, next) => {
+    try {
+        res.type('text/plain').send(await llmsService.getLlmsIndex(getSiteUrl(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/:product/llms-full.txt', async (req, res, next) => {
+    try {
+        res.type('text/plain').send(await llmsService.getProductFullText(req.params.product, getSiteUrl(req)));
+    } catch (error) {
+        // Unknown products are left to the app routes
+        if (error instanceof customErrors.ResourceNotFoundError) return next();
+        next(error);
+    }
+});
+
+// Docs pages: old URLs of renamed or moved pages (and legacy name-based URLs) redirect to the current page,
+// all others get the docs app with the page's title, description, canonical URL and OpenGraph tags.
+// A ".md" suffix returns the page's cleaned Markdown source instead.
+app.get('/:product/*', async (req, res, next) => {
+    const productPath = path.join(config.paths.content, req.params.product);
+    if (!fs.existsSync(productPath) || productPath === config.paths.snippets) {
+        return next();
+    }
+
+    if (req.params[0].endsWith('.md')) {
+        try {
+            const markdown = await llmsService.getPageMarkdown(req.params.product, req.params[0].slice(0, -3), getSiteUrl(req));
+            return res.type('text/markdown').send(markdown);
+        } catch (error) {
+            if (error instanceof customErrors.PageMovedError) {
+                return res.redirect(301, `${error.url}.md${req.url.slice(req.path.length)}`);
+            }
+            if (error instanceof customErrors.ResourceNotFoundError || error instanceof customErrors.PathTraversalError) {
+                return res.status(404).type('text/plain').send('Page not found');
+            }
+            return next(error);
+        }
+    }
+
+    try {
+        const movedTo = fileService.findPageRedirect(req.params.product, req.params[0]);
+        if (movedTo) {
+            return res.redirect(301, movedTo + req.url.slice(req.path.length));
+        }
+    } catch (error) {
+        // Invalid paths are left to the app's 404 handling
+        return next();
+    }
+
+    try {
+        const [template, meta] = await Promise.all([
+            fileAdapter.readFile(path.join(appsPath, 'docs', 'index.html')),
+            seoService.getPageMeta(req.params.product, req.params[0], getSiteUrl(req))
+        ]);
+        res.type('html').send(renderPageShell(template, meta || {}));
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Create routes for each app folder
 appFolders.forEach(appName => {
     const indexPath = path.join(appsPath, appName, 'index.html');
@@ -144,6 +262,13 @@ app.use((req, res, next) => {
 
 // Global error handling middleware
 app.use((error, req, res, next) => {
+    // Renamed/moved pages: the docs API redirects to the page's new API URL
+    if (error instanceof customErrors.PageMovedError) {
+        const location = req.originalUrl.startsWith('/api/docs/') ? `/api/docs${error.url}` : error.url;
+        const query = req.originalUrl.replace(/^[^?]*/, '');
+        return res.redirect(301, location + query);
+    }
+
     // Log error
     console.error('Error:', error);
 
@@ -168,6 +293,21 @@ app.use((error, req, res, next) => {
         return res.status(403).json({ error: error.message });
     }
 
+    if (error instanceof customErrors.MDXCompileError) {
+        return res.status(422).json({
+            error: error.message,
+            line: error.line,
+            column: error.column
+        });
+    }
+
+    if (error instanceof customErrors.SnippetError) {
+        return res.status(422).json({
+            error: error.message,
+            file: error.file
+        });
+    }
+
     // Handle Multer errors
     const multer = require('multer');
     if (error instanceof multer.MulterError) {
@@ -11,6 +11,11 @@ module.exports = {
         port: process.env.PORT || 5005
     },
 
+    // Public site (absolute URLs in sitemaps), e.g. "https://docs.example.com"
+    site: {
+        url: (process.env.SITE_URL || '').replace(/\/+$/, '')
+    },
+
     // JWT configuration
     jwt: {
         secret: process.env.JWT_SECRET || 'quantom_secret_key_2025',
@@ -20,6 +25,8 @@ module.exports = {
     // Directory paths
     paths: {
         content: path.join(__dirname, '..', '..', '..', 'content'),
+        // Shared snippets (<Snippet file="snippets/install.md" />), not a product
+        snippets: path.join(__dirname, '..', '..', '..', 'content', 'snippets'),
         uploads: path.join(__dirname, '..', '..', 'apps', 'main', 'downloads'),
         data: path.join(__dirname, '..', '..', '..', 'data'),
         images: path.join(__dirname, '..', '..', 'apps', 'docs', 'images'),
@@ -51,8 +58,32 @@ module.exports = {
         checkperiod: 120 // 2 minutes
     },
 
+    // Content watcher: re-render and re-index pages changed on disk (WATCH_CONTENT=false to disable)
+    watch: {
+        enabled: process.env.WATCH_CONTENT !== 'false',
+        debounceMs: 300
+    },
+
+    // MDX pages: MDX_ALLOW_EXPRESSIONS=true lets everyone who can edit pages run any code on the server
+    mdx: {
+        allowExpressions: process.env.MDX_ALLOW_EXPRESSIONS === 'true',
+        timeoutMs: 1000
+    },
+
     // Security
     security: {
         bcryptRounds: 10
+    },
+
+    // Sanitization of rendered pages (isomorphic-dompurify)
+    sanitize: {
+        enabled: process.env.SANITIZE_HTML !== 'false',
+        // Allowed in addition to DOMPurify's default HTML/SVG allowlist
+        addTags: ['iframe'],
+        addAttributes: ['target', 'allow', 'allowfullscreen', 'frameborder', 'loading'],
+        // Removed even though DOMPurify would allow them
+        forbidTags: ['style', 'form', 'input', 'textarea'],
+        // Hosts iframes may embed (https only, subdomains included)
+        iframeHosts: ['youtube.com', 'youtube-nocookie.com', 'player.vimeo.com', 'loom.com', 'codesandbox.io', 'stackblitz.com']
     }
 };
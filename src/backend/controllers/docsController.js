@@ -4,15 +4,150 @@
  */
 
 const fileService = require('../services/fileService');
+const linkService = require('../services/linkService');
+const translationService = require('../services/translationService');
+const changelogService = require('../services/changelogService');
+const { formatPageResponse } = require('../utils/pageResponse');
+const { getSiteUrl } = require('../utils/siteUrl');
 
 /**
- * Get product tree
+ * Get product tree (?version= selects an older version, ?lang= a language)
  */
 function getProductTree(req, res, next) {
     try {
         const { product } = req.params;
 
-        const result = fileService.getProductTree(product);
+        const result = fileService.getProductTree(product, req.query.version, req.query.lang);
+
+        res.json(result);
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Get the documentation versions of a product
+ */
+function getVersions(req, res, next) {
+    try {
+        const { product } = req.params;
+
+        const result = fileService.getProductVersions(product);
+
+        res.json(result);
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Get the languages of a product
+ */
+function getLocales(req, res, next) {
+    try {
+        const { product } = req.params;
+
+        const result = fileService.getProductLocales(product);
+
+        res.json(result);
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Get the top-level sections of a product
+ */
+function getSuperCategories(req, res, next) {
+    try {
+        const { product } = req.params;
+
+        const result = fileService.getSuperCategories(product, req.query.version, req.query.lang);
+
+        res.json(result);
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Get the categories of a super-category
+ */
+function getCategories(req, res, next) {
+    try {
+        const { product, superCategory } = req.params;
+
+        const result = fileService.getCategories(product, superCategory, req.query.version, req.query.lang);
+
+        res.json(result);
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Serve an image or other asset stored next to the pages
+ */
+function getAsset(req, res, next) {
+    try {
+        const { product } = req.params;
+
+        const assetPath = fileService.getAssetPath(product, req.params[0]);
+
+        // Assets are never executed as documents (e.g. scripts in SVG files)
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+        res.sendFile(assetPath);
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Get the changelog of a product as RSS or Atom feed
+ */
+async function getChangelogFeed(req, res, next) {
+    try {
+        const { product, format } = req.params;
+
+        const result = await changelogService.getChangelogFeed(product, format, getSiteUrl(req));
+
+        res.type(format === 'atom' ? 'application/atom+xml' : 'application/rss+xml').send(result);
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Get the broken internal links and anchors of a product
+ */
+async function getLinkReport(req, res, next) {
+    try {
+        const { product } = req.params;
+
+        const result = await linkService.getLinkReport(product);
+
+        res.json(result);
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Get the missing, outdated and up-to-date translations of a product
+ */
+function getTranslationReport(req, res, next) {
+    try {
+        const { product } = req.params;
+
+        const result = translationService.getTranslationReport(product);
 
         res.json(result);
 
@@ -23,7 +158,7 @@ function getProductTree(req, res, next) {
 
 /**
  * Get file content by URL path
- * Returns pre-rendered HTML
+ * Returns pre-rendered HTML; untranslated pages come in the default language with `fallback: true`
  */
 async function getFileContent(req, res, next) {
     try {
@@ -31,22 +166,18 @@ async function getFileContent(req, res, next) {
         const urlPath = req.params[0]; // Everything after product ID
 
         // Skip if this looks like an existing endpoint
-        if (!urlPath || urlPath === 'tree' || urlPath === 'super-categories') {
+        if (!urlPath || urlPath === 'tree') {
             return res.status(404).json({ error: 'File not found' });
         }
 
-        const result = await fileService.getFileByUrlPath(productId, urlPath);
+        const result = await fileService.getFileByUrlPath(productId, urlPath, req.query.lang);
 
-        res.json({
-            content: result.content,
-            rawContent: result.rawContent,
-            fileType: result.fileType,
-            path: urlPath,
-            metadata: {
-                size: result.size,
-                lastModified: result.lastModified
-            }
-        });
+        // Translations based on an older revision of their source page
+        const translation = result.filePath && !result.fallback
+            ? translationService.getTranslationStatus(result.filePath)
+            : null;
+
+        res.json(formatPageResponse(result, urlPath, translation));
 
     } catch (error) {
         next(error);
@@ -100,6 +231,14 @@ async function saveDocument(req, res, next) {
 
 module.exports = {
     getProductTree,
+    getVersions,
+    getLocales,
+    getSuperCategories,
+    getCategories,
+    getAsset,
+    getChangelogFeed,
+    getLinkReport,
+    getTranslationReport,
     getFileContent,
     saveDocument
 };
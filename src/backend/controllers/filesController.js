@@ -7,6 +7,7 @@ const path = require('path');
 const multer = require('multer');
 const config = require('../config');
 const fileService = require('../services/fileService');
+const redirectService = require('../services/redirectService');
 const fileAdapter = require('../data/fileSystemAdapter');
 const { ValidationError } = require('../utils/customErrors');
 
@@ -176,6 +177,11 @@ async function saveFile(req, res, next) {
         const searchService = require('../services/searchService');
         await searchService.updateFileInIndex(filePath);
 
+        // Re-index pages including this file as a snippet
+        for (const dependentPath of fileService.getSnippetDependents(filePath)) {
+            await searchService.updateFileInIndex(dependentPath);
+        }
+
         res.json({
             success: true,
             message: 'File saved successfully',
@@ -274,8 +280,27 @@ async function deleteFileOrFolder(req, res, next) {
     }
 }
 
+/**
+ * Record redirects from the old URLs of moved pages to their new URLs
+ * @param {Map<string, string>} oldUrls - URLs before the move (from fileService.getPageUrls)
+ * @param {string} newFullPath - Absolute path after the move
+ */
+function recordRedirects(oldUrls, newFullPath) {
+    try {
+        const newUrls = fileService.getPageUrls(path.relative(config.paths.content, newFullPath));
+        const changes = [...oldUrls]
+            .filter(([relativePath]) => newUrls.has(relativePath))
+            .map(([relativePath, from]) => ({ from, to: newUrls.get(relativePath) }));
+
+        redirectService.recordMoves(changes);
+    } catch (error) {
+        console.error('Error recording redirects:', error);
+    }
+}
+
 /**
  * Rename file or folder
+ * Old page URLs are redirected to the new ones
  */
 async function renameFileOrFolder(req, res, next) {
     try {
@@ -304,8 +329,12 @@ async function renameFileOrFolder(req, res, next) {
             throw new ValidationError('A file or folder with that name already exists');
         }
 
+        const oldUrls = fileService.getPageUrls(path.relative(config.paths.content, oldFullPath));
+
         await fileAdapter.rename(oldFullPath, newFullPath);
 
+        recordRedirects(oldUrls, newFullPath);
+
         const newPath = oldPath.replace(path.basename(oldPath), newName);
 
         res.json({
@@ -320,6 +349,7 @@ async function renameFileOrFolder(req, res, next) {
 
 /**
  * Move file or folder
+ * Old page URLs are redirected to the new ones
  */
 async function moveFileOrFolder(req, res, next) {
     try {
@@ -352,8 +382,12 @@ async function moveFileOrFolder(req, res, next) {
             throw new ValidationError('A file with that name already exists in target folder');
         }
 
+        const oldUrls = fileService.getPageUrls(path.relative(config.paths.content, sourceFullPath));
+
         await fileAdapter.rename(sourceFullPath, targetFullPath);
 
+        recordRedirects(oldUrls, targetFullPath);
+
         const newPath = `${targetPath}/${path.basename(sourcePath)}`.replace(/^\//, '');
 
         res.json({
@@ -8,16 +8,18 @@ const searchService = require('../services/searchService');
 /**
  * Search documents
  */
-function searchDocs(req, res, next) {
+async function searchDocs(req, res, next) {
     try {
-        const { q, product, limit } = req.query;
+        const { q, product, version, lang, limit } = req.query;
 
         if (!q) {
             return res.status(400).json({ error: 'Search query required' });
         }
 
-        const results = searchService.search(q, {
+        const results = await searchService.search(q, {
             product: product,
+            version: version,
+            lang: lang,
             limit: limit ? parseInt(limit) : 20
         });
 
@@ -17,6 +17,16 @@ async function readFile(filePath, encoding = 'utf-8') {
     return fs.readFile(filePath, encoding);
 }
 
+/**
+ * Read file content synchronously
+ * @param {string} filePath - Absolute path to file
+ * @param {string} encoding - File encoding (default: 'utf-8')
+ * @returns {string} File content
+ */
+function readFileSync(filePath, encoding = 'utf-8') {
+    return fsSync.readFileSync(filePath, encoding);
+}
+
 /**
  * Write file content
  * @param {string} filePath - Absolute path to file
@@ -154,8 +164,20 @@ function copySync(src, dest, options = { recursive: true }) {
     return fsSync.cpSync(src, dest, options);
 }
 
+/**
+ * Watch a file or directory for changes
+ * @param {string} targetPath - Absolute path to watch
+ * @param {object} options - fs.watch options (e.g. {recursive: true})
+ * @param {Function} listener - Called with (eventType, fileName)
+ * @returns {fs.FSWatcher} Watcher (call close() to stop)
+ */
+function watch(targetPath, options, listener) {
+    return fsSync.watch(targetPath, options, listener);
+}
+
 module.exports = {
     readFile,
+    readFileSync,
     writeFile,
     exists,
     stat,
@@ -169,5 +191,6 @@ module.exports = {
     rename,
     renameSync,
     copyFile,
-    copySync
+    copySync,
+    watch
 };
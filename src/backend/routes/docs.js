@@ -9,6 +9,18 @@ const { verifyToken } = require('../middleware/auth');
 
 // Public routes
 router.get('/:product/tree', docsController.getProductTree);
+router.get('/:product/versions', docsController.getVersions);
+router.get('/:product/locales', docsController.getLocales);
+router.get('/:product/super-categories', docsController.getSuperCategories);
+router.get('/:product/:superCategory/categories', docsController.getCategories);
+router.get('/:product/assets/*', docsController.getAsset);
+router.get('/:product/changelog.:format(rss|atom)', docsController.getChangelogFeed);
+
+// Protected routes (before the catch-all page route)
+router.get('/:product/links/report', verifyToken, docsController.getLinkReport);
+router.get('/:product/translations', verifyToken, docsController.getTranslationReport);
+
+// Page content (catch-all)
 router.get('/:product/*', docsController.getFileContent);
 
 // Protected routes (for editor)
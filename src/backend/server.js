@@ -6,6 +6,7 @@
 const app = require('./app');
 const config = require('./config');
 const searchService = require('./services/searchService');
+const contentWatchService = require('./services/contentWatchService');
 
 const HOST = config.server.host;
 const PORT = config.server.port;
@@ -32,6 +33,9 @@ async function start() {
         // Initialize search index (non-blocking)
         initializeSearchIndex();
 
+        // Keep cache and search index in sync with changes made on disk
+        contentWatchService.start();
+
         // Start HTTP server
         const server = app.listen(PORT, HOST, () => {
             console.log('==========================================');
@@ -60,6 +64,7 @@ async function start() {
         // Graceful shutdown
         process.on('SIGTERM', () => {
             console.log('[Server] SIGTERM received, shutting down gracefully');
+            contentWatchService.stop();
             server.close(() => {
                 console.log('[Server] Server closed');
                 process.exit(0);
@@ -68,6 +73,7 @@ async function start() {
 
         process.on('SIGINT', () => {
             console.log('[Server] SIGINT received, shutting down gracefully');
+            contentWatchService.stop();
             server.close(() => {
                 console.log('[Server] Server closed');
                 process.exit(0);
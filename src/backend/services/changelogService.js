@@ -0,0 +1,286 @@
+/**
+ * Changelog Service
+ * Dated release notes of a product, listed on its changelog page and published as RSS/Atom feeds
+ *
+ * The changelog of a product is its top-level folder with the URL slug "changelog" (e.g. "03-Changelog").
+ * Every page in it with a `date` in its frontmatter is one entry; a page can also hold several
+ * entries as <Update date="YYYY-MM-DD"> blocks. Only the latest version in the default language is used.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const fileService = require('./fileService');
+const seoService = require('./seoService');
+const { escapeXml } = require('../utils/escape');
+const { ResourceNotFoundError } = require('../utils/customErrors');
+
+const CHANGELOG_SLUG = 'changelog';
+const COMPONENTS_DIR = path.join(__dirname, '..', '..', 'apps', 'docs', 'js', 'components');
+
+// Newest entries included in the feeds
+const FEED_ENTRY_LIMIT = 50;
+
+/**
+ * Decode the entities of a rendered HTML attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeAttribute(value) {
+    return String(value || '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Find the end of the <div> element starting at an index
+ * @param {string} html - Rendered HTML
+ * @param {number} start - Index of the opening "<div"
+ * @returns {number} Index after the matching "</div>" (end of the HTML if unclosed)
+ */
+function findDivEnd(html, start) {
+    const tagRegex = /<(\/?)div\b[^>]*>/gi;
+    tagRegex.lastIndex = start;
+    let depth = 0;
+
+    for (let match = tagRegex.exec(html); match; match = tagRegex.exec(html)) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) {
+            return tagRegex.lastIndex;
+        }
+    }
+
+    return html.length;
+}
+
+/**
+ * Read the <Update> blocks of a rendered page
+ * @param {string} html - Rendered page HTML
+ * @returns {Array<object>} [{id, date, label, tags, content}] in page order
+ */
+function extractUpdates(html) {
+    const updates = [];
+    const entryRegex = /<div\b[^>]*\bclass="update-entry"[^>]*>/g;
+
+    for (let match = entryRegex.exec(html); match; match = entryRegex.exec(html)) {
+        const end = findDivEnd(html, match.index);
+        const entryHtml = html.slice(match.index, end);
+        const attributes = {};
+        for (const attribute of match[0].matchAll(/([\w-]+)="([^"]*)"/g)) {
+            attributes[attribute[1]] = decodeAttribute(attribute[2]);
+        }
+
+        const contentMatch = entryHtml.match(/<div\b[^>]*\bclass="update-content"[^>]*>/);
+        const content = contentMatch
+            ? entryHtml.slice(contentMatch.index + contentMatch[0].length, findDivEnd(entryHtml, contentMatch.index) - '</div>'.length)
+            : '';
+
+        updates.push({
+            id: attributes.id,
+            date: attributes['data-date'],
+            label: attributes['data-label'] || null,
+            tags: (attributes['data-tags'] || '').split(',').filter(Boolean),
+            content: content.trim()
+        });
+        entryRegex.lastIndex = end;
+    }
+
+    return updates;
+}
+
+/**
+ * Normalize an entry date
+ * @param {*} value - Frontmatter or <Update> date
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null if the value is not a date
+ */
+function parseDate(value) {
+    const date = new Date(String(value || ''));
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the changelog pages of a product
+ * @param {string} productId - Product ID
+ * @returns {Array<string>} Page paths relative to the content directory (including an index page)
+ * @throws {ResourceNotFoundError} If the product does not exist or has no changelog folder
+ */
+function getChangelogFiles(productId) {
+    const changelogUrl = `/${productId}/${CHANGELOG_SLUG}`;
+    const pages = fileService.getTreePages(productId)
+        .filter(page => page.url === changelogUrl || page.url.startsWith(`${changelogUrl}/`));
+
+    if (!pages.some(page => page.url === changelogUrl && page.type === 'category')) {
+        throw new ResourceNotFoundError(`Product "${productId}" has no changelog`);
+    }
+
+    return pages
+        .map(page => (page.type === 'file'
+            ? page.path
+            : fileService.resolvePageFile(productId, page.url.slice(productId.length + 2)).filePath))
+        .filter(Boolean);
+}
+
+/**
+ * Get the changelog entries of a product, newest first
+ * @param {string} productId - Product ID
+ * @returns {Promise<Array<object>>} [{id, title, label, date, tags, url, content}]
+ *                                   (url of the page or the <Update> anchor, content is rendered HTML)
+ * @throws {ResourceNotFoundError} If the product does not exist or has no changelog folder
+ */
+async function getChangelogEntries(productId) {
+    const entries = [];
+
+    for (const filePath of getChangelogFiles(productId)) {
+        const page = await fileService.getRenderedContent(filePath);
+        const pageUrl = fileService.getPageUrl(filePath);
+        const updates = extractUpdates(page.content);
+
+        for (const update of updates) {
+            const date = parseDate(update.date);
+            if (!date) continue;
+
+            entries.push({
+                id: `${pageUrl}#${update.id}`,
+                title: update.label || date,
+                label: update.label,
+                date,
+                tags: update.tags,
+                url: `${pageUrl}#${update.id}`,
+                content: update.content
+            });
+        }
+
+        const date = parseDate(page.metadata.date);
+        if (updates.length === 0 && date) {
+            const { title } = seoService.describePage(page);
+            const tags = page.metadata.tags;
+
+            entries.push({
+                id: pageUrl,
+                title,
+                label: title,
+                date,
+                tags: (Array.isArray(tags) ? tags : String(tags || '').split(',')).map(tag => String(tag).trim()).filter(Boolean),
+                url: pageUrl,
+                // The title is shown with the entry
+                content: page.content.replace(/^\s*<h1\b[^>]*>[\s\S]*?<\/h1>\s*/i, '').trim()
+            });
+        }
+    }
+
+    return entries.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Render the entries of the changelog page (the landing page of a changelog folder without index file)
+ * Entries link to their page; the docs app adds the tag filter.
+ * @param {string} productId - Product ID
+ * @returns {Promise<string>} HTML
+ */
+async function renderChangelogEntries(productId) {
+    const { renderUpdate } = await import(pathToFileURL(path.join(COMPONENTS_DIR, 'Updates.js')).href);
+    const entries = await getChangelogEntries(productId);
+
+    if (entries.length === 0) {
+        return '<p>No changelog entries yet.</p>';
+    }
+
+    return entries.map(entry => renderUpdate(
+        { date: entry.date, label: entry.label, tags: entry.tags, href: entry.url },
+        entry.content
+    )).join('\n');
+}
+
+/**
+ * Check whether a URL of a product is its changelog page
+ * @param {Array<string>} urlSegments - URL segments after the product
+ * @returns {boolean}
+ */
+function isChangelogUrl(urlSegments) {
+    return urlSegments.length === 1 && urlSegments[0] === CHANGELOG_SLUG;
+}
+
+/**
+ * Build the RSS or Atom feed of a product's changelog
+ * @param {string} productId - Product ID
+ * @param {string} format - "rss" or "atom"
+ * @param {string} siteUrl - Public site URL (e.g. "https://docs.example.com")
+ * @returns {Promise<string>} Feed XML
+ * @throws {ResourceNotFoundError} If the product does not exist or has no changelog folder
+ */
+async function getChangelogFeed(productId, format, siteUrl) {
+    const baseUrl = String(siteUrl || '').replace(/\/+$/, '');
+    const product = fileService.getProductConfig(productId) || {};
+    const title = `${product.name || productId} Changelog`;
+    const pageUrl = `${baseUrl}/${productId}/${CHANGELOG_SLUG}`;
+    const feedUrl = `${baseUrl}/api/docs/${productId}/${CHANGELOG_SLUG}.${format}`;
+
+    const entries = (await getChangelogEntries(productId)).slice(0, FEED_ENTRY_LIMIT).map(entry => ({
+        ...entry,
+        url: baseUrl + entry.url,
+        // Feed readers resolve root-relative links against the feed's host, which may differ
+        content: entry.content.replace(/(href|src)="\/(?!\/)/g, `$1="${baseUrl}/`)
+    }));
+    const updated = new Date(entries.length > 0 ? entries[0].date : 0);
+
+    if (format === 'atom') {
+        const items = entries.map(entry => [
+            '  <entry>',
+            `    <title>${escapeXml(entry.title)}</title>`,
+            `    <id>${escapeXml(entry.url)}</id>`,
+            `    <link href="${escapeXml(entry.url)}"/>`,
+            `    <updated>${new Date(entry.date).toISOString()}</updated>`,
+            ...entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+            `    <content type="html">${escapeXml(entry.content)}</content>`,
+            '  </entry>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            `  <title>${escapeXml(title)}</title>`,
+            `  <id>${escapeXml(pageUrl)}</id>`,
+            `  <link href="${escapeXml(pageUrl)}"/>`,
+            `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+            `  <updated>${updated.toISOString()}</updated>`,
+            ...items,
+            '</feed>',
+            ''
+        ].join('\n');
+    }
+
+    const items = entries.map(entry => [
+        '    <item>',
+        `      <title>${escapeXml(entry.title)}</title>`,
+        `      <link>${escapeXml(entry.url)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(entry.url)}</guid>`,
+        `      <pubDate>${new Date(entry.date).toUTCString()}</pubDate>`,
+        ...entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+        `      <description>${escapeXml(entry.content)}</description>`,
+        '    </item>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(title)}</title>`,
+        `    <link>${escapeXml(pageUrl)}</link>`,
+        `    <description>${escapeXml(product.description || title)}</description>`,
+        `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+        `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+        ...items,
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    getChangelogEntries,
+    renderChangelogEntries,
+    isChangelogUrl,
+    getChangelogFeed
+};
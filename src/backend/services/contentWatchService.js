@@ -0,0 +1,207 @@
+/**
+ * Content Watch Service
+ * Keeps the rendered page cache and the search index in sync with changes made on disk
+ * (git pull, docker cp, a text editor on the host) instead of through the editor
+ *
+ * Events are collected until the content folder has been quiet for config.watch.debounceMs,
+ * then handled together:
+ * - changed, added or removed pages (and OpenAPI specs) are re-rendered and re-indexed
+ * - added or removed folders and changed folder metadata (_meta.json, _category.json) re-index their product
+ * - large batches (e.g. a branch switch) rebuild everything
+ * - docs-config.json is reloaded like a save from the Settings page
+ */
+
+const path = require('path');
+const config = require('../config');
+const fileAdapter = require('../data/fileSystemAdapter');
+const configManager = require('../utils/configManager');
+const fileService = require('./fileService');
+const searchService = require('./searchService');
+const openApiService = require('./openApiService');
+
+// Changed paths above which a batch rebuilds the whole cache and index
+const FULL_REBUILD_THRESHOLD = 50;
+
+// Editor swap and backup files, version control folders
+const IGNORED_REGEX = /(^|\/)\.|~$|\.(swp|swx|tmp)$|(^|\/)4913$/;
+
+const DOCS_CONFIG_PATH = configManager.CONFIG_PATHS.docs;
+
+let watchers = [];
+let pendingPaths = new Set();
+let docsConfigChanged = false;
+let debounceTimer = null;
+let processing = Promise.resolve();
+
+/**
+ * Check whether a changed path is a page or an OpenAPI spec
+ * @param {string} filePath - Path relative to the content directory
+ * @returns {boolean}
+ */
+function isPageSource(filePath) {
+    return /\.mdx?$/.test(filePath) || openApiService.isSpecFile(filePath);
+}
+
+/**
+ * Re-render and re-index the pages of a changed file
+ * @param {string} filePath - Path relative to the content directory
+ * @returns {Promise<void>}
+ */
+async function syncFile(filePath) {
+    // Collected before clearing: rendering registers which pages include a snippet
+    const dependents = fileService.getSnippetDependents(filePath);
+
+    fileService.clearCache(filePath);
+    await searchService.updateFileInIndex(filePath);
+
+    for (const dependentPath of dependents) {
+        await searchService.updateFileInIndex(dependentPath);
+    }
+}
+
+/**
+ * Check whether docs-config.json on disk is the loaded config
+ * Saves from the Settings page already updated the config, the page cache and the search index.
+ * @returns {boolean}
+ */
+function isDocsConfigLoaded() {
+    try {
+        return fileAdapter.readFileSync(DOCS_CONFIG_PATH) === JSON.stringify(configManager.readConfig('docs'), null, 2);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Handle a batch of changed paths
+ * @param {Array<string>} changedPaths - Paths relative to the content directory
+ * @param {boolean} configChanged - Whether docs-config.json changed
+ * @returns {Promise<void>}
+ */
+async function processChanges(changedPaths, configChanged) {
+    const reloadConfig = configChanged && !isDocsConfigLoaded();
+
+    if (reloadConfig || changedPaths.length > FULL_REBUILD_THRESHOLD) {
+        console.log(`[ContentWatch] ${reloadConfig ? 'docs-config.json changed' : `${changedPaths.length} files changed`}, rebuilding cache and search index`);
+        configManager.invalidateCache('docs');
+        fileService.clearCache();
+        await searchService.buildIndex();
+        return;
+    }
+
+    // Folders (added, removed or renamed) and folder metadata change the product tree
+    const products = new Set();
+    const pages = [];
+
+    for (const filePath of changedPaths) {
+        const absolutePath = path.join(config.paths.content, filePath);
+        const isFolder = fileAdapter.exists(absolutePath)
+            ? fileAdapter.statSync(absolutePath).isDirectory()
+            : !path.extname(filePath);
+
+        if (isFolder || fileService.FOLDER_META_FILES.includes(path.basename(filePath))) {
+            fileService.clearCache(filePath);
+            products.add(filePath.split('/')[0]);
+        } else if (isPageSource(filePath)) {
+            pages.push(filePath);
+        }
+    }
+
+    for (const filePath of pages) {
+        const productId = filePath.split('/')[0];
+        if (products.has(productId)) {
+            fileService.clearCache(filePath);
+            continue;
+        }
+
+        console.log(`[ContentWatch] ${fileAdapter.exists(path.join(config.paths.content, filePath)) ? 'Changed' : 'Removed'}: ${filePath}`);
+        await syncFile(filePath);
+    }
+
+    for (const productId of products) {
+        if (path.join(config.paths.content, productId) !== config.paths.snippets) {
+            await searchService.updateProductInIndex(productId);
+        }
+    }
+}
+
+/**
+ * Queue a changed path and (re)start the debounce timer
+ * @param {string|null} filePath - Path relative to the content directory (null for docs-config.json)
+ */
+function queueChange(filePath) {
+    if (filePath === null) {
+        docsConfigChanged = true;
+    } else {
+        pendingPaths.add(filePath);
+    }
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+        const changedPaths = [...pendingPaths];
+        const configChanged = docsConfigChanged;
+        pendingPaths = new Set();
+        docsConfigChanged = false;
+
+        // Batches run one after another so a slow rebuild never overlaps the next batch
+        processing = processing
+            .then(() => processChanges(changedPaths, configChanged))
+            .catch(error => console.error('[ContentWatch] Failed to apply changes:', error));
+    }, config.watch.debounceMs);
+}
+
+/**
+ * Start watching the content folder and docs-config.json
+ * @returns {boolean} Whether watching started (disabled with WATCH_CONTENT=false)
+ */
+function start() {
+    if (!config.watch.enabled || watchers.length > 0) {
+        return false;
+    }
+
+    try {
+        watchers.push(fileAdapter.watch(config.paths.content, { recursive: true }, (eventType, fileName) => {
+            const filePath = fileName && String(fileName).split(path.sep).join('/');
+            if (filePath && !IGNORED_REGEX.test(filePath)) {
+                queueChange(filePath);
+            }
+        }));
+
+        // The folder is watched since editors replace the file instead of writing to it
+        watchers.push(fileAdapter.watch(path.dirname(DOCS_CONFIG_PATH), {}, (eventType, fileName) => {
+            if (fileName && String(fileName) === path.basename(DOCS_CONFIG_PATH)) {
+                queueChange(null);
+            }
+        }));
+    } catch (error) {
+        console.error('[ContentWatch] Failed to watch content:', error.message);
+        stop();
+        return false;
+    }
+
+    for (const watcher of watchers) {
+        watcher.on('error', error => console.error('[ContentWatch] Watcher error:', error.message));
+    }
+
+    console.log(`[ContentWatch] Watching ${config.paths.content}`);
+    return true;
+}
+
+/**
+ * Stop watching (pending changes are dropped)
+ */
+function stop() {
+    for (const watcher of watchers) {
+        watcher.close();
+    }
+    watchers = [];
+
+    clearTimeout(debounceTimer);
+    pendingPaths = new Set();
+    docsConfigChanged = false;
+}
+
+module.exports = {
+    start,
+    stop
+};
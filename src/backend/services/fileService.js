@@ -4,11 +4,23 @@
  */
 
 const path = require('path');
+const { pathToFileURL } = require('url');
 const NodeCache = require('node-cache');
-const { marked } = require('marked');
+const { Marked } = require('marked');
 const config = require('../config');
 const fileAdapter = require('../data/fileSystemAdapter');
-const { ResourceNotFoundError, PathTraversalError, ValidationError } = require('../utils/customErrors');
+const mdxService = require('./mdxService');
+const highlightService = require('./highlightService');
+const { parseFrontmatter } = require('../utils/frontmatter');
+const { addHeadingAnchors } = require('../utils/headings');
+const { escapeHtml } = require('../utils/escape');
+const { sanitizeHtml } = require('../utils/sanitizeHtml');
+const { mapLinesOutsideFences } = require('../utils/markdownSource');
+const { substituteVariables } = require('../utils/variables');
+const configManager = require('../utils/configManager');
+const redirectService = require('./redirectService');
+const openApiService = require('./openApiService');
+const { ResourceNotFoundError, PathTraversalError, ValidationError, SnippetError, PageMovedError } = require('../utils/customErrors');
 
 // Initialize cache for rendered content
 const contentCache = new NodeCache(config.cache);
@@ -16,6 +28,48 @@ const contentCache = new NodeCache(config.cache);
 // Base directories for content
 const BASE_CONTENT_DIR = config.paths.content;
 
+// Marked extensions shared with the browser (ES module)
+const MARKED_EXTENSIONS_PATH = path.join(__dirname, '..', '..', 'apps', 'docs', 'js', 'marked-extension.js');
+
+// Shared component renderers (ES modules, also used by the browser)
+const COMPONENTS_DIR = path.join(__dirname, '..', '..', 'apps', 'docs', 'js', 'components');
+
+// MDX import of a snippet: import Install from '/snippets/install.mdx'
+const SNIPPET_IMPORT_REGEX = /^\s*import\s+([A-Z]\w*)\s+from\s+['"]([^'"]+\.mdx?)['"];?\s*$/;
+
+// Snippet props: name="value", name='value' or name={value}
+const SNIPPET_PROP_REGEX = /([A-Za-z_][\w-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*["']?([^}"']*)["']?\s*\})/g;
+
+// Snippet -> pages that include it (absolute paths), for cache invalidation and re-indexing
+const snippetDependents = new Map();
+
+// Links left as they are: URLs with a scheme, protocol-relative and root-relative URLs, in-page anchors
+const NON_RELATIVE_LINK_REGEX = /^(?:[a-z][a-z\d+.-]*:|\/|#)/i;
+
+// Files of the content directory served as page assets (images, media, downloads)
+const ASSET_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.ico', '.mp4', '.webm', '.pdf', '.zip'];
+
+// Prefix of version folders inside a product (e.g. "@v1.2")
+const VERSION_PREFIX = '@';
+
+// Version ID addressing a product's root content
+const LATEST_VERSION = 'latest';
+
+// Category landing page files (first match wins)
+const INDEX_FILES = ['index.md', 'index.mdx'];
+
+// Lazily created Marked instance with all component extensions
+let markedInstancePromise = null;
+
+// Parsed frontmatter per file, invalidated by mtime
+const frontmatterCache = new Map();
+
+// Optional per-folder metadata files (first match wins)
+const FOLDER_META_FILES = ['_meta.json', '_category.json'];
+
+// Parsed folder metadata per directory, invalidated by mtime
+const folderMetaCache = new Map();
+
 /**
  * Validate and resolve safe path
  * Prevents path traversal attacks
@@ -73,6 +127,11 @@ function resolveSafePath(requestedPath, baseDir = BASE_CONTENT_DIR) {
  * @returns {string} URL slug
  */
 function formatUrlPath(name) {
+    // Version folders keep their name (e.g. "@v1.2")
+    if (name.startsWith(VERSION_PREFIX)) {
+        return name.toLowerCase();
+    }
+
     let cleaned = name.replace(/\.(md|mdx)$/, '');
     cleaned = cleaned.replace(/^\d+-/, '');
     cleaned = cleaned.toLowerCase();
@@ -83,8 +142,112 @@ function formatUrlPath(name) {
     return cleaned;
 }
 
+/**
+ * Check if a directory entry is a Markdown/MDX page
+ * @param {fs.Dirent} entry - Directory entry
+ * @returns {boolean}
+ */
+function isPageEntry(entry) {
+    return entry.isFile() && (entry.name.endsWith('.md') || entry.name.endsWith('.mdx'));
+}
+
+/**
+ * Read the frontmatter of a page (cached by modification time)
+ * @param {string} absolutePath - Absolute path to the page
+ * @returns {object} Page metadata (empty if none or unreadable)
+ */
+function readFrontmatter(absolutePath) {
+    try {
+        const stats = fileAdapter.statSync(absolutePath);
+        const cached = frontmatterCache.get(absolutePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return cached.data;
+        }
+
+        const { data } = parseFrontmatter(fileAdapter.readFileSync(absolutePath, 'utf-8'));
+        frontmatterCache.set(absolutePath, { mtimeMs: stats.mtimeMs, data });
+        return data;
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Read the metadata file of a content folder (_meta.json or _category.json)
+ * Supported keys: label, description, icon, position, collapsed,
+ * order (explicit child order) and hidden (children to hide)
+ * @param {string} dirPath - Absolute path to the folder
+ * @returns {object} Folder metadata (empty if none or invalid)
+ */
+function readFolderMeta(dirPath) {
+    for (const metaFile of FOLDER_META_FILES) {
+        const metaPath = path.join(dirPath, metaFile);
+        if (!fileAdapter.exists(metaPath)) continue;
+
+        try {
+            const stats = fileAdapter.statSync(metaPath);
+            const cached = folderMetaCache.get(metaPath);
+            if (cached && cached.mtimeMs === stats.mtimeMs) {
+                return cached.data;
+            }
+
+            const parsed = JSON.parse(fileAdapter.readFileSync(metaPath, 'utf-8'));
+            const data = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+            folderMetaCache.set(metaPath, { mtimeMs: stats.mtimeMs, data });
+            return data;
+        } catch (error) {
+            console.warn(`Invalid folder metadata in ${metaPath}:`, error.message);
+            return {};
+        }
+    }
+
+    return {};
+}
+
+/**
+ * Find the position of a folder entry in a _meta.json name list
+ * Entries can be referenced by file/folder name, name without extension
+ * or number prefix, or URL slug
+ * @param {Array} list - Names from _meta.json
+ * @param {string} entryName - Directory entry name
+ * @returns {number} Index in the list, or -1
+ */
+function findMetaEntryIndex(list, entryName) {
+    if (!Array.isArray(list)) return -1;
+
+    const nameWithoutExt = entryName.replace(/\.(md|mdx)$/, '');
+    const candidates = [
+        entryName,
+        nameWithoutExt,
+        nameWithoutExt.replace(/^\d+-/, ''),
+        formatUrlPath(entryName)
+    ].map(name => name.toLowerCase());
+
+    return list.findIndex(name => candidates.includes(String(name).toLowerCase()));
+}
+
+/**
+ * Get the URL slug of a page, honoring a frontmatter `slug`
+ * @param {string} fileName - File name including extension
+ * @param {object} metadata - Page frontmatter
+ * @returns {string} URL slug
+ */
+function getPageSlug(fileName, metadata = {}) {
+    if (metadata.slug) {
+        const slug = metadata.slug
+            .toLowerCase()
+            .replace(/[\s_]+/g, '-')
+            .replace(/[^a-z0-9-]/g, '')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '');
+        if (slug) return slug;
+    }
+    return formatUrlPath(fileName);
+}
+
 /**
  * Resolve URL slug back to actual folder/file name
+ * Pages can be addressed by their frontmatter `slug` or by their file name
  * @param {string} parentPath - Absolute path to parent directory
  * @param {string} urlSlug - URL slug to resolve
  * @returns {string|null} Actual folder/file name
@@ -92,10 +255,20 @@ function formatUrlPath(name) {
 function resolveUrlPath(parentPath, urlSlug) {
     try {
         const entries = fileAdapter.readdirSync(parentPath, { withFileTypes: true });
+        const wanted = urlSlug.toLowerCase();
+
+        // Frontmatter slugs take precedence over file names
+        for (const entry of entries) {
+            if (!isPageEntry(entry)) continue;
+            const metadata = readFrontmatter(path.join(parentPath, entry.name));
+            if (metadata.slug && getPageSlug(entry.name, metadata) === wanted) {
+                return entry.name;
+            }
+        }
 
         for (const entry of entries) {
             const formatted = formatUrlPath(entry.name);
-            if (formatted === urlSlug.toLowerCase()) {
+            if (formatted === wanted) {
                 return entry.name;
             }
         }
@@ -109,6 +282,7 @@ function resolveUrlPath(parentPath, urlSlug) {
 
 /**
  * Recursively build category tree from directory
+ * Order and labels come from `NN-` prefixes, overridable per folder via _meta.json
  * @param {string} dirPath - Absolute path to directory
  * @param {string} relativePath - Relative path from product root
  * @returns {Array} Category tree
@@ -118,9 +292,12 @@ function buildCategoryTree(dirPath, relativePath = '') {
 
     try {
         const entries = fileAdapter.readdirSync(dirPath, { withFileTypes: true });
+        const folderMeta = readFolderMeta(dirPath);
 
         for (const entry of entries) {
             if (entry.name.startsWith('.')) continue;
+            if (entry.name.startsWith(VERSION_PREFIX)) continue;
+            if (findMetaEntryIndex(folderMeta.hidden, entry.name) !== -1) continue;
 
             const itemPath = path.join(dirPath, entry.name);
             const itemRelativePath = relativePath
@@ -129,22 +306,24 @@ function buildCategoryTree(dirPath, relativePath = '') {
 
             if (entry.isDirectory()) {
                 const match = entry.name.match(/^(\d+)-(.+)$/);
-                const order = match ? parseInt(match[1], 10) : 999;
+                const prefixOrder = match ? parseInt(match[1], 10) : 999;
                 const cleanName = match ? match[2] : entry.name;
                 const urlSlug = formatUrlPath(entry.name);
+                const categoryMeta = readFolderMeta(itemPath);
 
-                const indexMdPath = path.join(itemPath, 'index.md');
-                const indexMdxPath = path.join(itemPath, 'index.mdx');
-                const hasIndex = fileAdapter.exists(indexMdPath) || fileAdapter.exists(indexMdxPath);
+                const hasIndex = INDEX_FILES.some(indexFile => fileAdapter.exists(path.join(itemPath, indexFile)));
 
                 const children = buildCategoryTree(itemPath, itemRelativePath);
 
                 items.push({
                     type: 'category',
                     id: entry.name,
-                    name: cleanName,
+                    name: categoryMeta.label || cleanName,
+                    description: categoryMeta.description || null,
+                    icon: categoryMeta.icon || null,
+                    collapsed: categoryMeta.collapsed !== undefined ? Boolean(categoryMeta.collapsed) : true,
                     urlSlug: urlSlug,
-                    order: order,
+                    order: Number.isFinite(categoryMeta.position) ? categoryMeta.position : prefixOrder,
                     path: itemRelativePath,
                     children: children,
                     hasFiles: children.some(child => child.type === 'file'),
@@ -152,23 +331,28 @@ function buildCategoryTree(dirPath, relativePath = '') {
                     hasIndex: hasIndex
                 });
 
-            } else if (entry.isFile() && (entry.name.endsWith('.md') || entry.name.endsWith('.mdx'))) {
-                if (entry.name === 'index.md' || entry.name === 'index.mdx') continue;
+            } else if (isPageEntry(entry)) {
+                if (INDEX_FILES.includes(entry.name)) continue;
+
+                const metadata = readFrontmatter(itemPath);
+                if (metadata.hidden) continue;
 
-                const fileExt = entry.name.endsWith('.mdx') ? '.mdx' : '.md';
                 const fileType = entry.name.endsWith('.mdx') ? 'mdx' : 'md';
                 const nameWithoutExt = entry.name.replace(/\.(md|mdx)$/, '');
                 const match = nameWithoutExt.match(/^(\d+)-(.+)$/);
-                const order = match ? parseInt(match[1], 10) : 999;
+                const prefixOrder = match ? parseInt(match[1], 10) : 999;
                 const cleanName = match ? match[2] : nameWithoutExt;
-                const urlSlug = formatUrlPath(entry.name);
 
                 items.push({
                     type: 'file',
                     id: nameWithoutExt,
-                    name: cleanName,
-                    urlSlug: urlSlug,
-                    order: order,
+                    name: metadata.sidebarTitle || metadata.title || cleanName,
+                    title: metadata.title || cleanName,
+                    description: metadata.description || null,
+                    icon: metadata.icon || null,
+                    tags: metadata.tags || [],
+                    urlSlug: getPageSlug(entry.name, metadata),
+                    order: metadata.order !== undefined ? metadata.order : prefixOrder,
                     path: itemRelativePath,
                     fileName: entry.name,
                     fileType: fileType
@@ -176,7 +360,24 @@ function buildCategoryTree(dirPath, relativePath = '') {
             }
         }
 
+        // API reference generated from an OpenAPI spec in this folder
+        const specFile = openApiService.findSpecFile(dirPath);
+        if (specFile && findMetaEntryIndex(folderMeta.hidden, specFile) === -1) {
+            items.push(...openApiService.getSpecTree(dirPath, relativePath));
+        }
+
+        // Children listed in _meta.json "order" come first, in that order
+        const explicitRank = (item) => {
+            const index = findMetaEntryIndex(folderMeta.order, item.fileName || item.id);
+            return index === -1 ? Infinity : index;
+        };
+
         items.sort((a, b) => {
+            const rankA = explicitRank(a);
+            const rankB = explicitRank(b);
+            if (rankA !== rankB) {
+                return rankA < rankB ? -1 : 1;
+            }
             if (a.order !== b.order) {
                 return a.order - b.order;
             }
@@ -190,35 +391,473 @@ function buildCategoryTree(dirPath, relativePath = '') {
     return items;
 }
 
+/**
+ * Get the Marked instance configured with the shared component extensions
+ * and server-side (lowlight) code highlighting
+ * @returns {Promise<Marked>} Configured Marked instance
+ */
+function getMarkedInstance() {
+    if (!markedInstancePromise) {
+        markedInstancePromise = Promise.all([
+            import(pathToFileURL(MARKED_EXTENSIONS_PATH).href),
+            highlightService.getHighlighter()
+        ])
+            .then(([{ createMarkedExtensions }, highlightCode]) => {
+                const instance = new Marked({
+                    breaks: true,
+                    gfm: true
+                });
+                instance.use(createMarkedExtensions({ highlightCode }));
+                return instance;
+            })
+            .catch(error => {
+                markedInstancePromise = null;
+                throw error;
+            });
+    }
+
+    return markedInstancePromise;
+}
+
 /**
  * Render Markdown content to HTML
+ * Uses the same component extensions as the browser (callouts, tabs, steps, ...)
  * @param {string} content - Raw markdown content
- * @returns {string} Rendered HTML
+ * @returns {Promise<string>} Rendered HTML
  */
 async function renderMarkdown(content) {
-    // Configure marked with basic options
-    marked.setOptions({
-        breaks: true,
-        gfm: true,
-        headerIds: true,
-        mangle: false
-    });
-
-    // For now, render basic markdown
-    // TODO: Integrate custom marked extensions for components
-    return marked.parse(content);
+    const instance = await getMarkedInstance();
+    return instance.parse(content);
 }
 
 /**
  * Render MDX content to HTML
  * @param {string} content - Raw MDX content
- * @returns {Promise<string>} Rendered HTML
+ * @returns {Promise<object>} {html, exports} - Rendered HTML and `export const` values
+ * @throws {MDXCompileError} If the MDX cannot be compiled
  */
 async function renderMDX(content) {
-    // TODO: Implement proper MDX rendering with @mdx-js/mdx
-    // For now, fall back to markdown rendering
-    console.warn('MDX rendering not yet fully implemented, falling back to Markdown');
-    return renderMarkdown(content);
+    return mdxService.renderMDX(content);
+}
+
+/**
+ * Parse the props of a snippet tag
+ * @param {string} attributes - Attribute source of the tag
+ * @returns {object} Props
+ */
+function parseSnippetProps(attributes) {
+    const props = {};
+    for (const match of attributes.matchAll(SNIPPET_PROP_REGEX)) {
+        props[match[1]] = match[2] ?? match[3] ?? match[4].trim();
+    }
+    return props;
+}
+
+/**
+ * Resolve a snippet file reference
+ * Paths starting with ./ or ../ are relative to the including file,
+ * all others are relative to the content directory
+ * @param {string} file - Snippet reference
+ * @param {string} includerPath - Absolute path of the including file
+ * @returns {string} Absolute snippet path
+ */
+function resolveSnippetPath(file, includerPath) {
+    const relativePath = /^\.\.?\//.test(file)
+        ? path.relative(BASE_CONTENT_DIR, path.resolve(path.dirname(includerPath), file))
+        : file.replace(/^\/+/, '');
+
+    return resolveSafePath(relativePath);
+}
+
+/**
+ * Insert props into a snippet body ({{ name }} or {props.name})
+ * @param {string} content - Snippet body
+ * @param {object} props - Props passed by the including page
+ * @returns {string} Snippet body with props substituted
+ */
+function substituteSnippetProps(content, props) {
+    const has = (name) => Object.prototype.hasOwnProperty.call(props, name);
+
+    return content
+        .replace(/(\\?)\{\{\s*([\w-]+)\s*\}\}/g, (match, escape, name) => (!escape && has(name) ? props[name] : match))
+        .replace(/\{\s*props\.([\w-]+)\s*\}/g, (match, name) => (has(name) ? props[name] : match));
+}
+
+/**
+ * Recursively replace snippet includes with the snippet content
+ * @param {string} content - Markdown/MDX source
+ * @param {Array<string>} stack - Absolute paths of the including files (for cycle detection)
+ * @param {Set<string>} snippets - Collects the absolute paths of all included snippets
+ * @returns {Promise<string>} Expanded source
+ * @throws {SnippetError} If a snippet is missing or includes itself
+ */
+async function expandSnippetIncludes(content, stack, snippets) {
+    const includerPath = stack[stack.length - 1];
+
+    // MDX imports of snippets are replaced by their usages below
+    const imports = {};
+    const source = mapLinesOutsideFences(content, line => {
+        const match = line.match(SNIPPET_IMPORT_REGEX);
+        if (!match) return line;
+        imports[match[1]] = match[2];
+        return '';
+    });
+
+    const tagNames = ['Snippet', ...Object.keys(imports)];
+    const tagRegex = new RegExp(`<(${tagNames.join('|')})\\b([^>]*?)\\/>`, 'g');
+
+    // Swap includes for placeholders first, then expand them (async)
+    const includes = [];
+    const withPlaceholders = mapLinesOutsideFences(source, line => line.replace(tagRegex, (match, name, attributes) => {
+        includes.push({ name, props: parseSnippetProps(attributes) });
+        return `\u0000snippet-${includes.length - 1}\u0000`;
+    }));
+
+    if (includes.length === 0) {
+        return source;
+    }
+
+    const expanded = await Promise.all(includes.map(async ({ name, props }) => {
+        const { file, ...snippetProps } = props;
+        const reference = name === 'Snippet' ? file : imports[name];
+
+        if (!reference) {
+            throw new SnippetError('Snippet is missing the "file" attribute');
+        }
+
+        const snippetPath = resolveSnippetPath(reference, includerPath);
+
+        if (stack.includes(snippetPath)) {
+            const chain = [...stack, snippetPath].map(filePath => path.relative(BASE_CONTENT_DIR, filePath));
+            throw new SnippetError(`Snippet include cycle: ${chain.join(' -> ')}`, reference);
+        }
+
+        if (!fileAdapter.exists(snippetPath)) {
+            throw new SnippetError(`Snippet not found: ${reference}`, reference);
+        }
+
+        snippets.add(snippetPath);
+
+        const { content: body } = parseFrontmatter(await fileAdapter.readFile(snippetPath, 'utf-8'));
+        const withProps = substituteSnippetProps(body.replace(/\s+$/, ''), snippetProps);
+
+        return expandSnippetIncludes(withProps, [...stack, snippetPath], snippets);
+    }));
+
+    return withPlaceholders.replace(/\u0000snippet-(\d+)\u0000/g, (match, index) => expanded[Number(index)]);
+}
+
+/**
+ * Expand the snippet includes of a page and remember which snippets it uses
+ * @param {string} content - Page source
+ * @param {string} filePath - Page path relative to the content directory
+ * @returns {Promise<string>} Source with all snippets included
+ * @throws {SnippetError} If a snippet is missing or includes itself
+ */
+async function expandSnippets(content, filePath) {
+    const pagePath = resolveSafePath(filePath);
+    const snippets = new Set();
+
+    const expanded = await expandSnippetIncludes(content, [pagePath], snippets);
+    setSnippetDependencies(pagePath, snippets);
+
+    return expanded;
+}
+
+/**
+ * Replace the snippets a page is registered as including
+ * @param {string} pagePath - Absolute page path
+ * @param {Iterable<string>} snippetPaths - Absolute snippet paths
+ */
+function setSnippetDependencies(pagePath, snippetPaths) {
+    for (const dependents of snippetDependents.values()) {
+        dependents.delete(pagePath);
+    }
+    for (const snippetPath of snippetPaths) {
+        if (!snippetDependents.has(snippetPath)) {
+            snippetDependents.set(snippetPath, new Set());
+        }
+        snippetDependents.get(snippetPath).add(pagePath);
+    }
+}
+
+/**
+ * Get the snippets a page includes (directly or through other snippets), as of its last render
+ * @param {string} filePath - Page path relative to the content directory
+ * @returns {Array<string>} Snippet paths relative to the content directory
+ */
+function getPageSnippets(filePath) {
+    const pagePath = resolveSafePath(filePath);
+    return [...snippetDependents]
+        .filter(([, dependents]) => dependents.has(pagePath))
+        .map(([snippetPath]) => path.relative(BASE_CONTENT_DIR, snippetPath).split(path.sep).join('/'));
+}
+
+/**
+ * Register the snippets a page includes without rendering it (e.g. a page taken from the saved search index)
+ * @param {string} filePath - Page path relative to the content directory
+ * @param {Array<string>} snippetPaths - Snippet paths relative to the content directory
+ */
+function setPageSnippets(filePath, snippetPaths) {
+    setSnippetDependencies(resolveSafePath(filePath), snippetPaths.map(snippetPath => resolveSafePath(snippetPath)));
+}
+
+/**
+ * Get the pages that include a snippet (directly or through other snippets)
+ * @param {string} filePath - Snippet path relative to the content directory
+ * @returns {Array<string>} Page paths relative to the content directory
+ */
+function getSnippetDependents(filePath) {
+    const dependents = snippetDependents.get(resolveSafePath(filePath)) || [];
+    return [...dependents].map(pagePath => path.relative(BASE_CONTENT_DIR, pagePath).split(path.sep).join('/'));
+}
+
+/**
+ * Get the IDs of all products (content folders except the shared snippets)
+ * @returns {Array<string>} Product IDs
+ */
+function getProductIds() {
+    return fileAdapter.readdirSync(BASE_CONTENT_DIR, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('.'))
+        .filter(dirent => path.join(BASE_CONTENT_DIR, dirent.name) !== config.paths.snippets)
+        .map(dirent => dirent.name);
+}
+
+/**
+ * Get the docs-config.json entry of a product
+ * @param {string} productId - Product ID
+ * @returns {object|undefined} Product config
+ */
+function getProductConfig(productId) {
+    const products = configManager.readConfig('docs').products || [];
+    return products.find(p => p.id === productId);
+}
+
+/**
+ * Get the variables available to a page
+ * Product variables from docs-config.json (`products[].variables`), overridden by the `variables`
+ * mapping of the page's frontmatter. `version` is the page's version (older versions) or the
+ * product's current version.
+ * @param {string} filePath - Page path relative to the content directory
+ * @param {object} frontmatter - Parsed frontmatter of the page
+ * @returns {object} Variable values by name
+ */
+function getPageVariables(filePath, frontmatter = {}) {
+    const productId = filePath.split(/[\\/]/)[0];
+    const product = getProductConfig(productId);
+    const variables = {
+        product: product ? product.name : productId,
+        version: (product && product.currentVersion) || LATEST_VERSION,
+        ...(product && product.variables)
+    };
+
+    // Pages of older versions show their own version
+    const version = getPageVersion(filePath);
+    if (version !== LATEST_VERSION) {
+        variables.version = version;
+    }
+
+    const pageVariables = frontmatter.variables;
+    if (pageVariables && typeof pageVariables === 'object' && !Array.isArray(pageVariables)) {
+        Object.assign(variables, pageVariables);
+    }
+
+    return variables;
+}
+
+/**
+ * Prepare a page's source for rendering and indexing: include snippets and substitute variables
+ * @param {string} rawContent - Raw file content (with frontmatter)
+ * @param {string} filePath - Page path relative to the content directory
+ * @param {object} options - {warn: log undefined variables}
+ * @returns {Promise<string>} Resolved source (with frontmatter)
+ * @throws {SnippetError} If a snippet is missing or includes itself
+ */
+async function resolvePageSource(rawContent, filePath, options = {}) {
+    const { data } = parseFrontmatter(rawContent);
+    const expanded = await expandSnippets(rawContent, filePath);
+
+    const undefinedVariables = new Set();
+    const resolved = substituteVariables(expanded, getPageVariables(filePath, data), name => undefinedVariables.add(name));
+
+    if (options.warn && undefinedVariables.size > 0) {
+        const names = [...undefinedVariables].map(name => `{{ ${name} }}`).join(', ');
+        console.warn(`[Variables] Undefined variable(s) in ${filePath}: ${names}`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Get the canonical docs URL of a page or category
+ * @param {string} filePath - Page or folder path relative to the content directory
+ * @returns {string} URL (e.g. "/docs/documentation/configuration/configuration-basics")
+ */
+function getPageUrl(filePath) {
+    const absolutePath = resolveSafePath(filePath);
+    const [productId, ...segments] = path.relative(BASE_CONTENT_DIR, absolutePath).split(path.sep);
+
+    // Generated pages: folder of the spec, then tag and operation slugs
+    const generated = openApiService.parseVirtualPath(absolutePath);
+    if (generated) {
+        const folderSegments = path.relative(BASE_CONTENT_DIR, path.dirname(generated.specPath)).split(path.sep).slice(1);
+        return `/${[productId, ...folderSegments.map(formatUrlPath), generated.tagSlug, generated.operationSlug].filter(Boolean).join('/')}`;
+    }
+
+    let pageSlug = null;
+    if (/\.mdx?$/.test(absolutePath)) {
+        const fileName = segments.pop();
+        if (!INDEX_FILES.includes(fileName)) {
+            pageSlug = getPageSlug(fileName, readFrontmatter(absolutePath));
+        }
+    }
+
+    const urlSegments = segments.map(formatUrlPath);
+    if (pageSlug) {
+        urlSegments.push(pageSlug);
+    }
+
+    return `/${[productId, ...urlSegments].join('/')}`;
+}
+
+/**
+ * Get the URLs of a page or folder and of all pages below it
+ * @param {string} filePath - Page or folder path relative to the content directory
+ * @returns {Map<string, string>} URL by path relative to filePath ('' for the item itself)
+ */
+function getPageUrls(filePath) {
+    const absolutePath = resolveSafePath(filePath);
+    const urls = new Map();
+
+    const visit = (relativePath) => {
+        const itemPath = path.join(absolutePath, relativePath);
+
+        if (fileAdapter.statSync(itemPath).isDirectory()) {
+            urls.set(relativePath, getPageUrl(path.join(filePath, relativePath)));
+            for (const entry of fileAdapter.readdirSync(itemPath, { withFileTypes: true })) {
+                if (!entry.name.startsWith('.')) {
+                    visit(path.join(relativePath, entry.name));
+                }
+            }
+        } else if (/\.mdx?$/.test(itemPath)) {
+            urls.set(relativePath, getPageUrl(path.join(filePath, relativePath)));
+        }
+    };
+
+    if (fileAdapter.exists(absolutePath)) {
+        visit('');
+    }
+    return urls;
+}
+
+/**
+ * Get the URL of a content asset (image, media, download)
+ * @param {string} filePath - Asset path relative to the content directory
+ * @returns {string} URL served by the docs API
+ */
+function getAssetUrl(filePath) {
+    const [productId, ...segments] = filePath.split('/');
+    return `/api/docs/${productId}/assets/${segments.map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Resolve a relative link of a page to the file it points to
+ * `.md`/`.mdx` extensions may be omitted; folders resolve to their landing page.
+ * @param {string} href - Link as written (e.g. "../02-Configuration/Configuration-Basics.md#setup")
+ * @param {string} filePath - Path of the linking page relative to the content directory
+ * @returns {object|null} {type: 'page'|'asset', filePath, hash, exists}, or null if the link is not relative
+ */
+function resolveRelativeLink(href, filePath) {
+    if (!href || NON_RELATIVE_LINK_REGEX.test(href)) {
+        return null;
+    }
+
+    const [, linkPath, hash = ''] = href.match(/^([^?#]*)(?:\?[^#]*)?(#.*)?$/);
+    if (!linkPath) {
+        return null;
+    }
+
+    let target;
+    try {
+        const pageDir = path.posix.dirname(filePath.split(path.sep).join('/'));
+        target = path.posix.normalize(path.posix.join(pageDir, decodeURIComponent(linkPath)));
+    } catch (error) {
+        return null;
+    }
+
+    // Links leaving the content directory are not docs links
+    if (target.startsWith('..')) {
+        return null;
+    }
+    target = target.replace(/\/$/, '');
+
+    let absolutePath;
+    try {
+        absolutePath = resolveSafePath(target);
+    } catch (error) {
+        return null;
+    }
+
+    if (fileAdapter.exists(absolutePath) && fileAdapter.statSync(absolutePath).isDirectory()) {
+        return { type: 'page', filePath: target, hash, exists: true };
+    }
+
+    if (!path.posix.extname(target)) {
+        const extension = ['.md', '.mdx'].find(ext => fileAdapter.exists(absolutePath + ext));
+        return { type: 'page', filePath: target + (extension || '.md'), hash, exists: Boolean(extension) };
+    }
+
+    const type = /\.mdx?$/.test(target) ? 'page' : 'asset';
+    return { type, filePath: target, hash, exists: fileAdapter.exists(absolutePath) };
+}
+
+/**
+ * Rewrite relative page links and image paths of rendered HTML to canonical URLs
+ * Links to missing files are left unchanged (they show up in the link report).
+ * @param {string} html - Rendered page HTML
+ * @param {string} filePath - Page path relative to the content directory
+ * @returns {string} HTML with rewritten links
+ */
+function rewriteRelativeLinks(html, filePath) {
+    return html.replace(/<(?:a|img|source|video)\b[^>]*>/gi, tag => tag.replace(/\s(href|src)="([^"]*)"/gi, (attribute, name, value) => {
+        const link = resolveRelativeLink(value.replace(/&amp;/g, '&'), filePath);
+        if (!link || !link.exists) {
+            return attribute;
+        }
+
+        const url = link.type === 'page' ? getPageUrl(link.filePath) + link.hash : getAssetUrl(link.filePath);
+        return ` ${name}="${escapeHtml(url)}"`;
+    }));
+}
+
+/**
+ * Get the absolute path of a content asset
+ * @param {string} productId - Product ID
+ * @param {string} assetPath - Asset path relative to the product folder
+ * @returns {string} Absolute path
+ * @throws {ResourceNotFoundError} If the file does not exist or is not an asset
+ */
+function getAssetPath(productId, assetPath) {
+    const absolutePath = resolveSafePath(path.join(productId, assetPath || ''));
+
+    if (!ASSET_EXTENSIONS.includes(path.extname(absolutePath).toLowerCase())
+        || !fileAdapter.exists(absolutePath)
+        || !fileAdapter.statSync(absolutePath).isFile()) {
+        throw new ResourceNotFoundError('Asset not found');
+    }
+
+    return absolutePath;
+}
+
+/**
+ * Get the file a page's content comes from
+ * @param {string} filePath - Page path relative to the content directory
+ * @returns {string} Absolute path (the OpenAPI spec for generated pages)
+ */
+function getPageSourcePath(filePath) {
+    const safePath = resolveSafePath(filePath);
+    const generated = openApiService.parseVirtualPath(safePath);
+    return generated ? generated.specPath : safePath;
 }
 
 /**
@@ -229,6 +868,11 @@ async function renderMDX(content) {
 async function getRawContent(filePath) {
     const safePath = resolveSafePath(filePath);
 
+    // Pages generated from an OpenAPI spec
+    if (openApiService.parseVirtualPath(safePath)) {
+        return openApiService.getPageSource(safePath);
+    }
+
     if (!fileAdapter.exists(safePath)) {
         throw new ResourceNotFoundError('File not found');
     }
@@ -243,38 +887,51 @@ async function getRawContent(filePath) {
  */
 async function getRenderedContent(filePath) {
     const safePath = resolveSafePath(filePath);
+    const sourcePath = getPageSourcePath(filePath);
 
-    // Check cache
+    // Check cache (generated pages are outdated as soon as their spec changes)
     const cacheKey = safePath;
     const cached = contentCache.get(cacheKey);
-    if (cached) {
+    if (cached && (sourcePath === safePath
+        || (fileAdapter.exists(sourcePath) && fileAdapter.statSync(sourcePath).mtimeMs === cached.lastModified.getTime()))) {
         console.log(`[Cache HIT] ${filePath}`);
         return cached;
     }
 
-    if (!fileAdapter.exists(safePath)) {
-        throw new ResourceNotFoundError('File not found');
-    }
-
     // Read content and stats
-    const rawContent = await fileAdapter.readFile(safePath, 'utf-8');
-    const stats = await fileAdapter.stat(safePath);
+    const rawContent = await getRawContent(filePath);
+    const stats = await fileAdapter.stat(sourcePath);
 
     // Determine file type
     const extension = path.extname(safePath);
     const fileType = extension === '.mdx' ? 'mdx' : 'md';
 
+    // Include snippets (<Snippet file="..." />, MDX snippet imports) and substitute {{ variables }}
+    const resolvedContent = await resolvePageSource(rawContent, filePath, { warn: true });
+
+    // Split off frontmatter so it never reaches the rendered HTML
+    const { data: metadata, content: source } = parseFrontmatter(resolvedContent);
+
     // Render content
     let renderedHtml;
+    let exports = {};
     if (fileType === 'mdx') {
-        renderedHtml = await renderMDX(rawContent);
+        const mdxResult = await renderMDX(source);
+        renderedHtml = mdxResult.html;
+        exports = mdxResult.exports;
     } else {
-        renderedHtml = await renderMarkdown(rawContent);
+        renderedHtml = await renderMarkdown(source);
     }
 
+    // Canonical URLs for relative links, stable heading IDs ({#id} anchors, deduplicated) and table of contents
+    const { html, toc } = addHeadingAnchors(rewriteRelativeLinks(sanitizeHtml(renderedHtml), filePath));
+
     const result = {
-        content: renderedHtml,
+        content: html,
         rawContent: rawContent,
+        metadata: metadata,
+        toc: toc,
+        exports: exports,
         fileType: fileType,
         fileName: path.basename(safePath, extension),
         lastModified: stats.mtime,
@@ -288,82 +945,720 @@ async function getRenderedContent(filePath) {
     return result;
 }
 
+/**
+ * Get the version folders of a product
+ * @param {string} productPath - Absolute product path
+ * @returns {Array<string>} Folder names (e.g. "@v1.2")
+ */
+function readVersionFolders(productPath) {
+    return fileAdapter.readdirSync(productPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name.startsWith(VERSION_PREFIX) && entry.name.length > 1)
+        .map(entry => entry.name);
+}
+
+/**
+ * Get the documentation versions of a product
+ * The product's root content is the latest version (labelled by `currentVersion`
+ * in docs-config.json); older versions live in `@<version>` folders.
+ * @param {string} productId - Product ID
+ * @returns {object} {product, versions: [{id, label, urlSegment, isLatest}]}, latest first
+ */
+function getProductVersions(productId) {
+    const productPath = resolveSafePath(productId);
+
+    if (!fileAdapter.exists(productPath)) {
+        throw new ResourceNotFoundError('Product not found');
+    }
+
+    const product = getProductConfig(productId);
+    const olderVersions = readVersionFolders(productPath)
+        .map(folder => folder.slice(VERSION_PREFIX.length))
+        .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+
+    return {
+        product: productId,
+        versions: [
+            {
+                id: LATEST_VERSION,
+                label: (product && product.currentVersion) || 'Latest',
+                urlSegment: null,
+                isLatest: true
+            },
+            ...olderVersions.map(version => ({
+                id: version,
+                label: version,
+                urlSegment: formatUrlPath(VERSION_PREFIX + version),
+                isLatest: false
+            }))
+        ]
+    };
+}
+
+/**
+ * Resolve a version ID to its folder inside the product
+ * "latest" (or the product's `currentVersion`) resolves to the product root.
+ * @param {string} productId - Product ID
+ * @param {string} version - Version ID (e.g. "v1.2", "@v1.2" or "latest"), empty for latest
+ * @returns {string} Folder name (e.g. "@v1.2"), or '' for the latest version
+ * @throws {ResourceNotFoundError} If the version does not exist
+ */
+function resolveVersionFolder(productId, version) {
+    const wanted = String(version || '').replace(/^@/, '').toLowerCase();
+    const product = getProductConfig(productId);
+
+    if (!wanted || wanted === LATEST_VERSION
+        || (product && product.currentVersion && String(product.currentVersion).toLowerCase() === wanted)) {
+        return '';
+    }
+
+    const folder = readVersionFolders(resolveSafePath(productId))
+        .find(name => name.toLowerCase() === VERSION_PREFIX + wanted);
+
+    if (!folder) {
+        throw new ResourceNotFoundError('Version not found');
+    }
+    return folder;
+}
+
+/**
+ * Get the version a page belongs to
+ * @param {string} filePath - Page path relative to the content directory
+ * @returns {string} Version ID (e.g. "v1.2"), or "latest"
+ */
+function getPageVersion(filePath) {
+    const segment = filePath.split(/[\\/]/)[1] || '';
+    return segment.startsWith(VERSION_PREFIX) ? segment.slice(VERSION_PREFIX.length) : LATEST_VERSION;
+}
+
+/**
+ * Drop a leading URL segment that addresses the latest version (e.g. "@latest")
+ * @param {string} productId - Product ID
+ * @param {Array<string>} urlSegments - URL segments after the product
+ * @returns {Array<string>} URL segments from the content root
+ */
+function stripLatestVersionSegment(productId, urlSegments) {
+    const [first] = urlSegments;
+    if (!first || !first.startsWith(VERSION_PREFIX)) {
+        return urlSegments;
+    }
+
+    try {
+        return resolveVersionFolder(productId, first) === '' ? urlSegments.slice(1) : urlSegments;
+    } catch (error) {
+        return urlSegments;
+    }
+}
+
+/**
+ * Get the languages of a product
+ * Configured as `locales` of the product in docs-config.json. The first one is the
+ * default language, stored in the product root; translations live in a folder named
+ * after their language code (e.g. "de/") and mirror the default pages' file names.
+ * @param {string} productId - Product ID
+ * @returns {object} {product, defaultLocale, locales} (defaultLocale is null without languages)
+ */
+function getProductLocales(productId) {
+    const product = getProductConfig(productId);
+    const locales = (product && Array.isArray(product.locales) ? product.locales : [])
+        .map(locale => String(locale).trim().toLowerCase())
+        .filter(locale => locale);
+
+    return {
+        product: productId,
+        defaultLocale: locales[0] || null,
+        locales: locales
+    };
+}
+
+/**
+ * Get the language a page is written in
+ * @param {string} filePath - Page path relative to the content directory
+ * @returns {string|null} Language code, or null if the product has no languages
+ */
+function getPageLocale(filePath) {
+    const [productId, ...segments] = filePath.split(/[\\/]/);
+    const { defaultLocale, locales } = getProductLocales(productId);
+
+    const index = segments[0] && segments[0].startsWith(VERSION_PREFIX) ? 1 : 0;
+    const segment = (segments[index] || '').toLowerCase();
+
+    return locales.includes(segment) ? segment : defaultLocale;
+}
+
+/**
+ * Mark the pages of a default language tree as untranslated
+ * @param {object} item - Tree item
+ * @returns {object} Tree item with `fallback: true`
+ */
+function markFallback(item) {
+    return {
+        ...item,
+        fallback: true,
+        ...(item.children && { children: item.children.map(markFallback) })
+    };
+}
+
+/**
+ * Merge a translation tree into the default language tree
+ * Translated items replace their default language item; untranslated ones are kept with `fallback: true`.
+ * @param {Array} defaultItems - Tree items of the default language
+ * @param {Array} localizedItems - Tree items of the translation
+ * @returns {Array} Merged tree items
+ */
+function mergeLocaleTree(defaultItems, localizedItems) {
+    const findMatch = (items, item) => items.find(other => other.type === item.type && other.id === item.id);
+
+    const merged = defaultItems.map(item => {
+        const translation = findMatch(localizedItems, item);
+        if (!translation) {
+            return markFallback(item);
+        }
+        if (item.type !== 'category') {
+            return translation;
+        }
+
+        const children = mergeLocaleTree(item.children, translation.children);
+        return {
+            ...translation,
+            children: children,
+            hasFiles: children.some(child => child.type === 'file'),
+            hasSubcategories: children.some(child => child.type === 'category'),
+            hasIndex: translation.hasIndex || item.hasIndex
+        };
+    });
+
+    // Pages that only exist in the translation
+    const additions = localizedItems.filter(item => !findMatch(defaultItems, item));
+
+    return [...merged, ...additions];
+}
+
 /**
  * Get product tree
  * @param {string} productId - Product ID
- * @returns {object} Product tree
+ * @param {string} version - Optional version ID (defaults to latest)
+ * @param {string} locale - Optional language code (defaults to the product's default language)
+ * @returns {object} Product tree (paths of older versions start with their folder, e.g. "@v1.2/...";
+ *                   untranslated pages of other languages are marked with `fallback: true`)
  */
-function getProductTree(productId) {
+function getProductTree(productId, version, locale) {
     const productPath = resolveSafePath(productId);
 
     if (!fileAdapter.exists(productPath)) {
         throw new ResourceNotFoundError('Product not found');
     }
 
-    const tree = buildCategoryTree(productPath);
+    const versionFolder = resolveVersionFolder(productId, version);
+    const { defaultLocale, locales } = getProductLocales(productId);
+    const translations = locales.filter(code => code !== defaultLocale);
+
+    // Translation folders are not part of the default language tree
+    let tree = buildCategoryTree(path.join(productPath, versionFolder), versionFolder)
+        .filter(item => !(item.type === 'category' && translations.includes(item.id.toLowerCase())));
+
+    const wantedLocale = String(locale || '').toLowerCase();
+    const treeLocale = translations.includes(wantedLocale) ? wantedLocale : defaultLocale;
+
+    if (treeLocale !== defaultLocale) {
+        const localePath = path.join(versionFolder, treeLocale);
+        const localizedTree = fileAdapter.exists(path.join(productPath, localePath))
+            ? buildCategoryTree(path.join(productPath, localePath), localePath.split(path.sep).join('/'))
+            : [];
+        tree = mergeLocaleTree(tree, localizedTree);
+    }
 
     return {
         product: productId,
+        version: versionFolder ? versionFolder.slice(VERSION_PREFIX.length) : LATEST_VERSION,
+        locale: treeLocale,
         tree: tree,
         timestamp: new Date().toISOString()
     };
 }
 
 /**
- * Get file by URL path
+ * List the pages and category landing pages of a product tree with their URLs
  * @param {string} productId - Product ID
- * @param {string} urlPath - URL path (e.g., "getting-started/installation")
- * @returns {Promise<object>} File content and metadata
+ * @param {string} version - Optional version ID (defaults to latest)
+ * @param {string} locale - Optional language code (defaults to the product's default language)
+ * @returns {Array<object>} [{type: 'file'|'category', url, path, title, fallback}]
+ *                          (path relative to the content directory; fallback for untranslated pages)
  */
-async function getFileByUrlPath(productId, urlPath) {
-    const urlSegments = urlPath.split('/').filter(s => s);
+function getTreePages(productId, version, locale) {
+    const { version: treeVersion, locale: treeLocale, tree } = getProductTree(productId, version, locale);
+    const { defaultLocale } = getProductLocales(productId);
+
+    // URL prefix of older versions and other languages (e.g. /docs/@v1.2/de/...)
+    const rootSegments = [];
+    if (treeVersion !== LATEST_VERSION) {
+        rootSegments.push(formatUrlPath(VERSION_PREFIX + treeVersion));
+    }
+    if (treeLocale && treeLocale !== defaultLocale) {
+        rootSegments.push(treeLocale);
+    }
+
+    const pages = [];
+    const visit = (items, segments) => {
+        for (const item of items) {
+            const itemSegments = [...segments, item.urlSlug];
+            pages.push({
+                type: item.type,
+                url: `/${[productId, ...itemSegments].join('/')}`,
+                path: `${productId}/${item.path}`,
+                title: item.title || item.name,
+                fallback: Boolean(item.fallback)
+            });
+            if (item.children) {
+                visit(item.children, itemSegments);
+            }
+        }
+    };
+    visit(tree, rootSegments);
+
+    return pages;
+}
+
+/**
+ * Find a top-level section in a product tree
+ * @param {Array} tree - Product tree
+ * @param {string} superCategory - Folder name (e.g. "01-Documentation") or URL slug
+ * @returns {object|undefined} Super-category tree node
+ */
+function findSuperCategory(tree, superCategory) {
+    const wanted = superCategory.toLowerCase();
+    return tree.find(item =>
+        item.type === 'category' &&
+        (item.id.toLowerCase() === wanted || item.urlSlug === wanted)
+    );
+}
+
+/**
+ * Get the top-level sections (super-categories) of a product
+ * @param {string} productId - Product ID
+ * @param {string} version - Optional version ID (defaults to latest)
+ * @param {string} locale - Optional language code
+ * @returns {object} {product, superCategories}
+ */
+function getSuperCategories(productId, version, locale) {
+    const { tree } = getProductTree(productId, version, locale);
+
+    const superCategories = tree
+        .filter(item => item.type === 'category')
+        .map(item => ({
+            id: item.id,
+            fullName: item.id,
+            name: item.name,
+            urlSlug: item.urlSlug,
+            description: item.description,
+            icon: item.icon,
+            order: item.order,
+            hasIndex: item.hasIndex,
+            categoryCount: item.children.filter(child => child.type === 'category').length
+        }));
+
+    return {
+        product: productId,
+        superCategories: superCategories
+    };
+}
+
+/**
+ * Get the categories of a super-category
+ * @param {string} productId - Product ID
+ * @param {string} superCategory - Folder name (e.g. "01-Documentation") or URL slug
+ * @param {string} version - Optional version ID (defaults to latest)
+ * @param {string} locale - Optional language code
+ * @returns {object} {product, superCategory, categories}
+ */
+function getCategories(productId, superCategory, version, locale) {
+    const { tree } = getProductTree(productId, version, locale);
+    const section = findSuperCategory(tree, superCategory);
+
+    if (!section) {
+        throw new ResourceNotFoundError('Super-category not found');
+    }
+
+    const categories = section.children
+        .filter(item => item.type === 'category')
+        .map(item => {
+            const pages = item.children.filter(child => child.type === 'file');
+
+            return {
+                id: item.id,
+                name: item.name,
+                urlSlug: item.urlSlug,
+                description: item.description,
+                icon: item.icon,
+                order: item.order,
+                path: item.path,
+                hasIndex: item.hasIndex,
+                files: pages.map(page => page.id),
+                pages: pages.map(page => ({
+                    id: page.id,
+                    name: page.name,
+                    urlSlug: page.urlSlug,
+                    fileType: page.fileType
+                }))
+            };
+        });
+
+    return {
+        product: productId,
+        superCategory: {
+            id: section.id,
+            fullName: section.id,
+            name: section.name,
+            urlSlug: section.urlSlug,
+            icon: section.icon
+        },
+        categories: categories
+    };
+}
+
+/**
+ * Build the landing page of a category without index file:
+ * its title, description and a card grid of its children (the entries for the changelog folder)
+ * @param {string} productId - Product ID
+ * @param {string} dirPath - Absolute path to the category folder
+ * @param {Array<string>} resolvedSegments - Folder names from product root
+ * @param {Array<string>} urlSegments - URL slugs from product root
+ * @returns {Promise<object>} Rendered content and metadata
+ */
+async function buildCategoryLanding(productId, dirPath, resolvedSegments, urlSegments) {
+    const { renderColumns } = await import(pathToFileURL(path.join(COMPONENTS_DIR, 'Columns.js')).href);
+
+    // Tags of an OpenAPI spec list their generated pages
+    const specTag = openApiService.getTagCategory(dirPath, resolvedSegments.join('/'));
+
+    const folderMeta = specTag ? { label: specTag.name, description: specTag.description } : readFolderMeta(dirPath);
+    const folderName = resolvedSegments.length > 0 ? resolvedSegments[resolvedSegments.length - 1] : productId;
+    const title = folderMeta.label || folderName.replace(/^\d+-/, '');
+    const description = folderMeta.description || null;
+
+    const children = specTag ? specTag.children : buildCategoryTree(dirPath, resolvedSegments.join('/'));
+    const cards = children.map(child => ({
+        title: escapeHtml(child.name),
+        icon: child.icon,
+        href: `/${productId}/${[...urlSegments, child.urlSlug].join('/')}`,
+        contentHTML: child.description ? `<p>${escapeHtml(child.description)}</p>` : ''
+    }));
+
+    let html = `<h1>${escapeHtml(title)}</h1>\n`;
+    if (description) {
+        html += `<p>${escapeHtml(description)}</p>\n`;
+    }
+
+    // The changelog folder lists its entries (changelogService depends on this module, so it is required here)
+    const changelogService = require('./changelogService');
+    if (!specTag && changelogService.isChangelogUrl(urlSegments)) {
+        html += await changelogService.renderChangelogEntries(productId);
+    } else {
+        html += cards.length > 0
+            ? renderColumns(2, cards)
+            : '<p>This category has no pages yet.</p>';
+    }
+
+    const stats = fileAdapter.statSync(specTag ? specTag.specPath : dirPath);
+
+    return {
+        content: sanitizeHtml(html),
+        rawContent: '',
+        metadata: {
+            title: title,
+            description: description,
+            generated: true
+        },
+        toc: [],
+        exports: {},
+        fileType: 'md',
+        fileName: 'index',
+        lastModified: stats.mtime,
+        size: 0
+    };
+}
+
+/**
+ * Find the page a legacy URL points to
+ * Legacy URLs use folder and file names (`product/superCategory/category/file`,
+ * e.g. "01-Documentation/01-Getting-Started/Installation") instead of slugs.
+ * @param {string} productId - Product ID
+ * @param {Array<string>} urlSegments - URL segments after the product
+ * @returns {string|null} Canonical page URL, or null if nothing matches
+ */
+function findLegacyPageUrl(productId, urlSegments) {
+    const segments = urlSegments[0] === productId ? urlSegments.slice(1) : urlSegments;
+    let currentPath = resolveSafePath(productId);
+
+    for (const segment of segments) {
+        const wanted = segment.toLowerCase();
+        let entries;
+        try {
+            entries = fileAdapter.readdirSync(currentPath, { withFileTypes: true });
+        } catch (error) {
+            return null;
+        }
+
+        const match = entries.find(entry => entry.name.replace(/\.(md|mdx)$/, '').toLowerCase() === wanted)
+            || entries.find(entry => formatUrlPath(entry.name) === wanted);
+        if (!match) {
+            return null;
+        }
+
+        currentPath = path.join(currentPath, match.name);
+    }
+
+    return getPageUrl(path.relative(BASE_CONTENT_DIR, currentPath));
+}
+
+/**
+ * Look up where an unresolvable URL has moved to
+ * Checks the redirect store (renamed/moved pages), then legacy name-based URLs.
+ * @param {string} productId - Product ID
+ * @param {Array<string>} urlSegments - URL segments after the product
+ * @returns {string|null} New page URL, or null if the page is unknown
+ */
+function lookupMovedPage(productId, urlSegments) {
+    const target = redirectService.findRedirect(`/${[productId, ...urlSegments].join('/')}`);
+    if (target) {
+        return target;
+    }
+
+    try {
+        return findLegacyPageUrl(productId, urlSegments);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find the new URL of a page URL that no longer resolves
+ * @param {string} productId - Product ID
+ * @param {string} urlPath - URL path after the product
+ * @returns {string|null} New page URL, or null if the URL resolves or is unknown
+ */
+function findPageRedirect(productId, urlPath) {
+    const urlSegments = stripLatestVersionSegment(productId, urlPath.split('/').filter(s => s));
+    if (urlSegments[urlSegments.length - 1] === 'index') {
+        urlSegments.pop();
+    }
 
     const productPath = resolveSafePath(productId);
-    if (!fileAdapter.exists(productPath)) {
-        throw new ResourceNotFoundError('Product not found');
+    if (!fileAdapter.exists(productPath) || resolveLocalizedPage(productId, urlSegments)) {
+        return null;
     }
 
+    return lookupMovedPage(productId, urlSegments);
+}
+
+/**
+ * Resolve the URL slugs of a page to its file path, in the requested language if translated
+ * The language comes from a URL prefix after the optional version segment
+ * (e.g. "de/getting-started" or "@v1.2/de/getting-started"), or else from `lang`.
+ * Untranslated pages resolve to the default language.
+ * @param {string} productId - Product ID
+ * @param {Array<string>} urlSegments - URL segments after the product
+ * @param {string} lang - Optional requested language code
+ * @returns {object|null} {currentPath, resolvedSegments, locale, requestedLocale}, or null if the page does not exist
+ */
+function resolveLocalizedPage(productId, urlSegments, lang) {
+    const productPath = resolveSafePath(productId);
+    const { defaultLocale, locales } = getProductLocales(productId);
+
+    if (!defaultLocale) {
+        return resolvePagePath(productPath, urlSegments);
+    }
+
+    const segments = [...urlSegments];
+    const index = segments[0] && segments[0].startsWith(VERSION_PREFIX) ? 1 : 0;
+
+    let requestedLocale = String(lang || '').toLowerCase();
+    if (segments[index] && locales.includes(segments[index].toLowerCase())) {
+        requestedLocale = segments.splice(index, 1)[0].toLowerCase();
+    }
+    if (!locales.includes(requestedLocale)) {
+        requestedLocale = defaultLocale;
+    }
+
+    if (requestedLocale !== defaultLocale) {
+        const localizedSegments = [...segments];
+        localizedSegments.splice(index, 0, requestedLocale);
+
+        const translated = resolvePagePath(productPath, localizedSegments);
+        if (translated) {
+            return { ...translated, locale: requestedLocale, requestedLocale };
+        }
+    }
+
+    const resolved = resolvePagePath(productPath, segments);
+    return resolved && { ...resolved, locale: defaultLocale, requestedLocale };
+}
+
+/**
+ * Resolve the URL slugs of a page or category to its file path
+ * @param {string} productPath - Absolute product path
+ * @param {Array<string>} urlSegments - URL slugs from product root
+ * @returns {object|null} {currentPath, resolvedSegments}, or null if a segment does not resolve
+ */
+function resolvePagePath(productPath, urlSegments) {
     let currentPath = productPath;
     const resolvedSegments = [];
 
-    for (const segment of urlSegments) {
+    for (const [index, segment] of urlSegments.entries()) {
         const actualName = resolveUrlPath(currentPath, segment);
 
         if (!actualName) {
-            throw new ResourceNotFoundError(`Could not resolve: ${segment}`);
+            // Pages generated from an OpenAPI spec in this folder
+            const generatedSegments = openApiService.resolveSlugs(currentPath, urlSegments.slice(index));
+            return generatedSegments && {
+                currentPath: path.join(currentPath, ...generatedSegments),
+                resolvedSegments: [...resolvedSegments, ...generatedSegments]
+            };
         }
 
         resolvedSegments.push(actualName);
         currentPath = path.join(currentPath, actualName);
     }
 
-    // Check if path exists
-    let fileType = 'md';
-    if (!fileAdapter.exists(currentPath)) {
-        const mdxPath = currentPath + '.mdx';
-        if (fileAdapter.exists(mdxPath)) {
-            currentPath = mdxPath;
-            resolvedSegments[resolvedSegments.length - 1] += '.mdx';
-            fileType = 'mdx';
-        } else {
-            currentPath += '.md';
-            resolvedSegments[resolvedSegments.length - 1] += '.md';
-            fileType = 'md';
+    const isPage = fileAdapter.exists(currentPath)
+        || fileAdapter.exists(currentPath + '.md')
+        || fileAdapter.exists(currentPath + '.mdx');
+
+    return isPage ? { currentPath, resolvedSegments } : null;
+}
+
+/**
+ * Resolve a docs URL to its folder or page file
+ * @param {string} productId - Product ID
+ * @param {string} urlPath - URL path (e.g., "getting-started/installation")
+ * @param {string} lang - Optional language code
+ * @returns {object} {resolved, urlSegments, resolvedSegments, dirPath, filePath}
+ *                   (dirPath: absolute category folder or null; filePath: page relative to the content
+ *                   directory, null for categories without index file)
+ * @throws {PageMovedError} If the page was renamed or moved (or a legacy URL was used)
+ * @throws {ResourceNotFoundError} If the URL does not resolve
+ */
+function resolvePageTarget(productId, urlPath, lang) {
+    const urlSegments = stripLatestVersionSegment(productId, urlPath.split('/').filter(s => s));
+    if (urlSegments[urlSegments.length - 1] === 'index') {
+        urlSegments.pop();
+    }
+
+    const productPath = resolveSafePath(productId);
+    if (!fileAdapter.exists(productPath)) {
+        throw new ResourceNotFoundError('Product not found');
+    }
+
+    const resolved = resolveLocalizedPage(productId, urlSegments, lang);
+
+    if (!resolved) {
+        const movedTo = lookupMovedPage(productId, urlSegments);
+        if (movedTo) {
+            throw new PageMovedError(movedTo);
         }
-    } else if (currentPath.endsWith('.mdx')) {
-        fileType = 'mdx';
+        throw new ResourceNotFoundError(`Could not resolve: ${urlSegments.join('/')}`);
     }
 
-    const stats = fileAdapter.statSync(currentPath);
+    const { currentPath } = resolved;
+    const resolvedSegments = [...resolved.resolvedSegments];
+
+    // Generated API reference: categories per tag, pages per operation
+    const generated = openApiService.parseVirtualPath(currentPath);
+    if (generated) {
+        return {
+            resolved,
+            urlSegments,
+            resolvedSegments,
+            dirPath: generated.operationSlug ? null : currentPath,
+            filePath: generated.operationSlug ? path.join(productId, ...resolvedSegments) : null
+        };
+    }
 
-    if (stats.isDirectory()) {
-        throw new ValidationError('Path is a directory, not a file');
+    if (fileAdapter.exists(currentPath) && fileAdapter.statSync(currentPath).isDirectory()) {
+        const indexFile = INDEX_FILES.find(name => fileAdapter.exists(path.join(currentPath, name)));
+        return {
+            resolved,
+            urlSegments,
+            resolvedSegments,
+            dirPath: currentPath,
+            filePath: indexFile ? path.join(productId, ...resolvedSegments, indexFile) : null
+        };
+    }
+
+    // Page names may omit their extension
+    if (!fileAdapter.exists(currentPath)) {
+        resolvedSegments[resolvedSegments.length - 1] += fileAdapter.exists(currentPath + '.mdx') ? '.mdx' : '.md';
     }
 
-    // Get relative path for rendering
-    const relativePath = path.join(productId, ...resolvedSegments);
+    return {
+        resolved,
+        urlSegments,
+        resolvedSegments,
+        dirPath: null,
+        filePath: path.join(productId, ...resolvedSegments)
+    };
+}
+
+/**
+ * Resolve a docs URL to the file it serves, without rendering it
+ * URLs follow the same rules as getFileByUrlPath.
+ * @param {string} productId - Product ID
+ * @param {string} urlPath - URL path (e.g., "getting-started/installation")
+ * @param {string} lang - Optional language code (`?lang=`), a language prefix in the URL wins
+ * @returns {object} {filePath, isCategory, locale, requestedLocale, fallback}
+ *                   (filePath relative to the content directory, null for categories without index file;
+ *                   the language fields are only set for products with languages)
+ * @throws {PageMovedError} If the page was renamed or moved (or a legacy URL was used)
+ */
+function resolvePageFile(productId, urlPath, lang) {
+    const target = resolvePageTarget(productId, urlPath, lang);
+
+    return withLocale({
+        filePath: target.filePath && target.filePath.split(path.sep).join('/'),
+        isCategory: target.dirPath !== null
+    }, target.resolved, target.filePath);
+}
+
+/**
+ * Get file by URL path
+ * Category URLs (with or without a trailing "/index") serve the category landing page.
+ * Older versions are addressed by their folder as first segment (e.g. "@v1.2/getting-started"),
+ * languages by their code (e.g. "de/getting-started"). Untranslated pages fall back to the
+ * default language and are marked with `fallback: true`.
+ * @param {string} productId - Product ID
+ * @param {string} urlPath - URL path (e.g., "getting-started/installation")
+ * @param {string} lang - Optional language code (`?lang=`), a language prefix in the URL wins
+ * @returns {Promise<object>} File content and metadata
+ * @throws {PageMovedError} If the page was renamed or moved (or a legacy URL was used)
+ */
+async function getFileByUrlPath(productId, urlPath, lang) {
+    const target = resolvePageTarget(productId, urlPath, lang);
 
-    return getRenderedContent(relativePath);
+    const page = target.filePath
+        ? await getRenderedContent(target.filePath)
+        : await buildCategoryLanding(productId, target.dirPath, target.resolvedSegments, target.urlSegments);
+
+    return withLocale(page, target.resolved, target.filePath);
+}
+
+/**
+ * Add the language of a resolved page to its content
+ * @param {object} page - Rendered page (cached, not modified)
+ * @param {object} resolved - Result of resolveLocalizedPage
+ * @param {string|null} filePath - Served file relative to the content directory (null for generated landing pages)
+ * @returns {object} Page with {filePath, locale, requestedLocale, fallback} for products with languages
+ */
+function withLocale(page, resolved, filePath) {
+    if (!resolved.locale) {
+        return page;
+    }
+
+    return {
+        ...page,
+        filePath: filePath ? filePath.split(path.sep).join('/') : null,
+        locale: resolved.locale,
+        requestedLocale: resolved.requestedLocale,
+        fallback: resolved.locale !== resolved.requestedLocale
+    };
 }
 
 /**
@@ -375,6 +1670,19 @@ function clearCache(filePath) {
         const safePath = resolveSafePath(filePath);
         contentCache.del(safePath);
         console.log(`[Cache CLEARED] ${filePath}`);
+
+        // Pages including this file as a snippet
+        for (const dependentPath of getSnippetDependents(filePath)) {
+            contentCache.del(resolveSafePath(dependentPath));
+            console.log(`[Cache CLEARED] ${dependentPath} (includes ${filePath})`);
+        }
+
+        // Pages generated from this OpenAPI spec
+        const generatedKeys = contentCache.keys().filter(key => key.startsWith(safePath + path.sep));
+        if (generatedKeys.length > 0) {
+            contentCache.del(generatedKeys);
+            console.log(`[Cache CLEARED] ${generatedKeys.length} page(s) generated from ${filePath}`);
+        }
     } else {
         contentCache.flushAll();
         console.log('[Cache CLEARED] All cache cleared');
@@ -383,14 +1691,42 @@ function clearCache(filePath) {
 
 module.exports = {
     resolveSafePath,
+    getProductIds,
+    getProductConfig,
     formatUrlPath,
     resolveUrlPath,
+    readFrontmatter,
+    readFolderMeta,
+    getPageSlug,
     buildCategoryTree,
+    getPageSourcePath,
     getRawContent,
+    expandSnippets,
+    getSnippetDependents,
+    getPageSnippets,
+    setPageSnippets,
+    getPageVariables,
+    resolvePageSource,
+    getPageUrl,
+    getPageUrls,
+    findPageRedirect,
+    resolveRelativeLink,
+    getAssetUrl,
+    getAssetPath,
     getRenderedContent,
+    getProductVersions,
+    resolveVersionFolder,
+    getPageVersion,
+    getProductLocales,
+    getPageLocale,
     getProductTree,
+    getTreePages,
+    getSuperCategories,
+    getCategories,
+    resolvePageFile,
     getFileByUrlPath,
     clearCache,
     renderMarkdown,
-    renderMDX
+    renderMDX,
+    FOLDER_META_FILES
 };
@@ -0,0 +1,63 @@
+/**
+ * Highlight Service
+ * Server-side syntax highlighting with lowlight (highlight.js grammars)
+ *
+ * Produces `hljs-*` token classes. The highlighter has the same signature as the
+ * browser one injected into the component renderers: (code, language) => HTML or null.
+ */
+
+const { escapeHtml } = require('../utils/escape');
+
+// Lazily created highlighter (lowlight is an ES module)
+let highlighterPromise = null;
+
+/**
+ * Serialize a lowlight result tree to HTML
+ * lowlight only produces text nodes and <span class="..."> elements
+ * @param {object} node - hast node
+ * @returns {string} HTML
+ */
+function toHtml(node) {
+    if (node.type === 'text') {
+        return escapeHtml(node.value);
+    }
+
+    const children = (node.children || []).map(toHtml).join('');
+
+    if (node.type === 'element') {
+        const className = (node.properties && node.properties.className) || [];
+        return `<span class="${className.join(' ')}">${children}</span>`;
+    }
+
+    return children;
+}
+
+/**
+ * Get the highlighter function
+ * @returns {Promise<Function>} (code, language) => highlighted HTML, or null if the language is unknown
+ */
+function getHighlighter() {
+    if (!highlighterPromise) {
+        highlighterPromise = import('lowlight')
+            .then(({ common, createLowlight }) => {
+                const lowlight = createLowlight(common);
+
+                return (code, language) => {
+                    if (!language || !lowlight.registered(language)) {
+                        return null;
+                    }
+                    return toHtml(lowlight.highlight(language, code));
+                };
+            })
+            .catch(error => {
+                highlighterPromise = null;
+                throw error;
+            });
+    }
+
+    return highlighterPromise;
+}
+
+module.exports = {
+    getHighlighter
+};
@@ -0,0 +1,180 @@
+/**
+ * Link Service
+ * Checks the internal links and anchors of a product's pages
+ */
+
+const path = require('path');
+const config = require('../config');
+const fileAdapter = require('../data/fileSystemAdapter');
+const fileService = require('./fileService');
+const { ResourceNotFoundError, PageMovedError } = require('../utils/customErrors');
+
+// Link and image targets of rendered HTML
+const LINK_REGEX = /<(?:a|img|source|video)\b[^>]*?\s(?:href|src)="([^"]*)"/gi;
+
+// Element IDs (heading anchors and explicit ids)
+const ID_REGEX = /\sid="([^"]*)"/g;
+
+/**
+ * Recursively collect the pages of a folder
+ * @param {string} dirPath - Absolute folder path
+ * @returns {Array<string>} Page paths relative to the content directory
+ */
+function collectPages(dirPath) {
+    const pages = [];
+
+    for (const entry of fileAdapter.readdirSync(dirPath, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+            pages.push(...collectPages(entryPath));
+        } else if (/\.mdx?$/.test(entry.name)) {
+            pages.push(path.relative(config.paths.content, entryPath).split(path.sep).join('/'));
+        }
+    }
+
+    return pages;
+}
+
+/**
+ * Decode the HTML entities the renderers put into attribute values
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeAttribute(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Decode a URL component, keeping malformed input as it is
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Check all internal links of a product
+ * Relative links that could not be rewritten, docs URLs that do not resolve,
+ * missing assets and anchors that do not exist on the target page are reported.
+ * @param {string} productId - Product ID
+ * @returns {Promise<object>} {product, checkedPages, checkedLinks, broken: [{page, link, reason}]}
+ */
+async function getLinkReport(productId) {
+    const productPath = fileService.resolveSafePath(productId);
+    if (!fileAdapter.exists(productPath) || !fileAdapter.statSync(productPath).isDirectory()) {
+        throw new ResourceNotFoundError('Product not found');
+    }
+
+    const products = new Set(fileAdapter.readdirSync(config.paths.content, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('.'))
+        .map(dirent => dirent.name));
+
+    // Anchor IDs per docs URL (null if the URL does not resolve)
+    const idsByUrl = new Map();
+
+    const getIds = async (urlPath) => {
+        if (!idsByUrl.has(urlPath)) {
+            const load = (url) => {
+                const [product, ...segments] = url.split('/').filter(Boolean);
+                return fileService.getFileByUrlPath(product, segments.join('/'));
+            };
+
+            let result = null;
+            try {
+                result = await load(urlPath);
+            } catch (error) {
+                // Links to renamed or moved pages still work through their redirect
+                if (error instanceof PageMovedError) {
+                    result = await load(error.url).catch(() => null);
+                }
+            }
+
+            idsByUrl.set(urlPath, result ? new Set([...result.content.matchAll(ID_REGEX)].map(match => match[1])) : null);
+        }
+        return idsByUrl.get(urlPath);
+    };
+
+    const pages = collectPages(productPath);
+    const broken = [];
+    let checkedLinks = 0;
+
+    for (const page of pages) {
+        let result;
+        try {
+            result = await fileService.getRenderedContent(page);
+        } catch (error) {
+            broken.push({ page, link: null, reason: `Page failed to render: ${error.message}` });
+            continue;
+        }
+
+        const pageIds = new Set([...result.content.matchAll(ID_REGEX)].map(match => match[1]));
+
+        for (const match of result.content.matchAll(LINK_REGEX)) {
+            const link = decodeAttribute(match[1]);
+            const [, linkPath, hash] = link.match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/);
+            const anchor = hash ? safeDecode(hash) : null;
+            let reason = null;
+
+            if (!linkPath) {
+                // In-page anchor
+                if (!anchor) continue;
+                checkedLinks++;
+                if (!pageIds.has(anchor)) reason = 'Anchor not found';
+
+            } else if (!/^(?:[a-z][a-z\d+.-]*:|\/)/i.test(linkPath)) {
+                // Relative links are rewritten when their target exists
+                checkedLinks++;
+                const target = fileService.resolveRelativeLink(link, page);
+                reason = target && target.exists ? null : 'File not found';
+
+            } else if (linkPath.startsWith('/api/docs/')) {
+                checkedLinks++;
+                const [product, assets, ...segments] = linkPath.slice('/api/docs/'.length).split('/');
+                try {
+                    if (assets !== 'assets') throw new ResourceNotFoundError('Asset not found');
+                    fileService.getAssetPath(product, segments.map(safeDecode).join('/'));
+                } catch (error) {
+                    reason = 'File not found';
+                }
+
+            } else if (linkPath.startsWith('/') && !linkPath.startsWith('//')
+                && products.has(linkPath.split('/')[1]) && !path.posix.extname(linkPath)) {
+                // Docs URL (/<product>/<slug>/...)
+                checkedLinks++;
+                const ids = await getIds(linkPath);
+                if (!ids) {
+                    reason = 'Page not found';
+                } else if (anchor && !ids.has(anchor)) {
+                    reason = 'Anchor not found';
+                }
+            }
+
+            if (reason) {
+                broken.push({ page, link, reason });
+            }
+        }
+    }
+
+    return {
+        product: productId,
+        checkedPages: pages.length,
+        checkedLinks,
+        broken
+    };
+}
+
+module.exports = {
+    getLinkReport
+};
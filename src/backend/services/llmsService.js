@@ -0,0 +1,343 @@
+/**
+ * LLMs Service
+ * Plain Markdown versions of the docs for language models and AI tools
+ *
+ *   /llms.txt                  index of all products and pages with descriptions
+ *   /<product>/llms-full.txt   all pages of a product in tree order
+ *   /<page URL>.md             cleaned source of a single page
+ *
+ * Components are flattened to readable Markdown, snippets and variables are resolved
+ * and relative links point to the public page URLs.
+ */
+
+const path = require('path');
+const fileAdapter = require('../data/fileSystemAdapter');
+const fileService = require('./fileService');
+const seoService = require('./seoService');
+const { parseFrontmatter } = require('../utils/frontmatter');
+const { mapLines } = require('../utils/markdownSource');
+const { getSiteTitle } = require('../utils/pageShell');
+const { ResourceNotFoundError } = require('../utils/customErrors');
+
+// Docs app shell, its <title> names the site
+const DOCS_TEMPLATE_PATH = path.join(__dirname, '..', '..', 'apps', 'docs', 'index.html');
+
+// Callout components and the label they are flattened to
+const CALLOUT_LABELS = {
+    Note: 'Note',
+    Warning: 'Warning',
+    Info: 'Info',
+    Tip: 'Tip',
+    Check: 'Check',
+    Danger: 'Danger',
+    Callout: 'Note'
+};
+
+// Components that only group other components
+const CONTAINER_TAGS = ['Tabs', 'Steps', 'AccordionGroup', 'CodeGroup', 'Columns'];
+
+// Components whose content stays, with their title in bold
+const TITLED_TAGS = ['Tab', 'Accordion', 'Expandable'];
+
+// Category pages are named after their folder
+const INDEX_FILE_REGEX = /^index\.mdx?$/;
+
+// Marks a line for removal while flattening
+const DROP_LINE = '\u0000';
+
+/**
+ * Read a string attribute of a component tag
+ * @param {string} attributes - Attribute source (e.g. ' title="Setup" icon="rocket"')
+ * @param {string} name - Attribute name
+ * @returns {string|null} Value
+ */
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Flatten the docs components of a page source to plain Markdown
+ * Callouts become bold labels, tabs, steps, accordions and cards bold titles,
+ * response fields a bold name with their type; wrappers are removed.
+ * @param {string} source - Page source without frontmatter
+ * @returns {string} Markdown
+ */
+function flattenComponents(source) {
+    let step = 0;
+    const captions = [];
+
+    const flattenTags = (line) => line
+        .replace(/<(Note|Warning|Info|Tip|Check|Danger|Callout)\b[^>]*>/g, (match, tag) => `**${CALLOUT_LABELS[tag]}:** `)
+        .replace(/<\/(Note|Warning|Info|Tip|Check|Danger|Callout)>/g, '')
+        .replace(new RegExp(`</?(${CONTAINER_TAGS.join('|')})\\b[^>]*>`, 'g'), (match, tag) => {
+            if (tag === 'Steps' && !match.startsWith('</')) step = 0;
+            return '';
+        })
+        .replace(/<Step\b([^>]*)>/g, (match, attributes) => `**${++step}. ${getAttribute(attributes, 'title') || ''}**`)
+        .replace(new RegExp(`<(${TITLED_TAGS.join('|')})\\b([^>]*)>`, 'g'), (match, tag, attributes) =>
+            `**${getAttribute(attributes, 'title') || ''}**`)
+        .replace(/<Card\b([^>]*)>/g, (match, attributes) => {
+            const title = getAttribute(attributes, 'title') || '';
+            const href = getAttribute(attributes, 'href');
+            return href ? `**[${title}](${href})**` : `**${title}**`;
+        })
+        .replace(/<Frame\b([^>]*)>/g, (match, attributes) => {
+            captions.push(getAttribute(attributes, 'caption'));
+            return '';
+        })
+        .replace(/<\/Frame>/g, () => {
+            const caption = captions.pop();
+            return caption ? `*${caption}*` : '';
+        })
+        .replace(/<ResponseField\b([^>]*)>/g, (match, attributes) => {
+            const details = [getAttribute(attributes, 'type')];
+            if (/\srequired\b/.test(attributes)) details.push('required');
+            const defaultValue = getAttribute(attributes, 'default');
+            if (defaultValue !== null) details.push(`default: \`${defaultValue}\``);
+            if (/\sdeprecated\b/.test(attributes)) details.push('deprecated');
+
+            return `**\`${getAttribute(attributes, 'name') || ''}\`** (${details.filter(Boolean).join(', ')})`;
+        })
+        .replace(/<Update\b([^>]*)>/g, (match, attributes) => {
+            const label = getAttribute(attributes, 'label');
+            const date = getAttribute(attributes, 'date') || '';
+            return label ? `**${label} (${date})**` : `**${date}**`;
+        })
+        .replace(/<\/(Step|Tab|Accordion|Expandable|Card|ResponseField|Update)>/g, '')
+        .replace(/^:::(info|warning)\s*$/, (match, type) => `**${type === 'info' ? 'Info' : 'Warning'}:**`)
+        .replace(/^:::\s*$/, '')
+        .replace(/(\[[^\]]*\]\([^)]*\))\{\.btn\}/g, '$1')
+        .replace(/\{color:[\w-]+\}|\{\/color\}/g, '')
+        .replace(/^(#{1,6}\s.*?)\s*\{#[\w-]+\}\s*$/, '$1');
+
+    let previousBlank = true;
+    const flattened = mapLines(source, (line, inFence) => {
+        if (inFence) {
+            previousBlank = false;
+            return line;
+        }
+
+        // MDX imports and exports are code, not content
+        if (/^(import|export)\s/.test(line)) {
+            return DROP_LINE;
+        }
+
+        const text = flattenTags(line);
+        const isBlank = text.trim() === '';
+        if (isBlank && previousBlank) {
+            return DROP_LINE;
+        }
+        previousBlank = isBlank;
+
+        // Component titles on their own line become a paragraph
+        if (!isBlank && text !== line && /^\*\*.*\*\*$/.test(text.trim())) {
+            previousBlank = true;
+            return `${text.trim()}\n`;
+        }
+        return isBlank ? '' : text;
+    });
+
+    return flattened
+        .split('\n')
+        .filter(line => line !== DROP_LINE)
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Point the relative links and images of a page to their public URLs
+ * @param {string} markdown - Page Markdown
+ * @param {string} filePath - Page path relative to the content directory
+ * @param {string} siteUrl - Public site URL prepended to docs URLs (optional)
+ * @returns {string} Markdown with absolute links
+ */
+function rewriteLinks(markdown, filePath, siteUrl) {
+    return mapLines(markdown, (line, inFence) => {
+        if (inFence) {
+            return line;
+        }
+
+        return line.replace(/(!?\[[^\]]*\]\()(<[^>]*>|[^)\s]+)((?:\s+"[^"]*")?\))/g, (match, open, href, close) => {
+            const target = href.replace(/^<|>$/g, '');
+            if (target.startsWith('/') && !target.startsWith('//')) {
+                return `${open}${siteUrl}${target}${close}`;
+            }
+
+            const link = fileService.resolveRelativeLink(target, filePath);
+            if (!link || !link.exists) {
+                return match;
+            }
+
+            const url = link.type === 'page'
+                ? fileService.getPageUrl(link.filePath) + link.hash
+                : fileService.getAssetUrl(link.filePath);
+            return `${open}${siteUrl}${url}${close}`;
+        });
+    });
+}
+
+/**
+ * Build the cleaned Markdown of a page file
+ * @param {string} filePath - Page path relative to the content directory
+ * @param {string} siteUrl - Public site URL for links (optional)
+ * @returns {Promise<object>} {title, description, markdown}
+ */
+async function renderPageFile(filePath, siteUrl) {
+    const rawContent = await fileService.getRawContent(filePath);
+    const resolvedContent = await fileService.resolvePageSource(rawContent, filePath);
+    const { data: metadata, content } = parseFrontmatter(resolvedContent);
+
+    let body = rewriteLinks(flattenComponents(content), filePath, siteUrl);
+
+    // A leading "# Title" of the page is replaced by the title line below
+    const heading = body.match(/^# (.+)(?:\n+|$)/);
+    if (heading) {
+        body = body.slice(heading[0].length);
+    }
+
+    const title = metadata.title || (heading && heading[1].trim())
+        || seoService.formatFileTitle(INDEX_FILE_REGEX.test(path.basename(filePath)) ? path.dirname(filePath) : filePath);
+    const description = metadata.description || '';
+
+    const parts = [`# ${title}`];
+    if (description) {
+        parts.push(`> ${description}`);
+    }
+    if (body) {
+        parts.push(body);
+    }
+
+    return { title, description, markdown: `${parts.join('\n\n')}\n` };
+}
+
+/**
+ * Get the cleaned Markdown of a docs page
+ * URLs follow the same rules as fileService.getFileByUrlPath.
+ * @param {string} productId - Product ID
+ * @param {string} urlPath - URL path after the product (e.g. "documentation/setup")
+ * @param {string} siteUrl - Public site URL for links (optional)
+ * @returns {Promise<string>} Markdown
+ * @throws {PageMovedError} If the page was renamed or moved
+ * @throws {ResourceNotFoundError} If the URL does not resolve or is a category without index file
+ */
+async function getPageMarkdown(productId, urlPath, siteUrl = '') {
+    const page = fileService.resolvePageFile(productId, urlPath);
+    if (!page.filePath) {
+        throw new ResourceNotFoundError('Category has no page source');
+    }
+
+    const { markdown } = await renderPageFile(page.filePath, String(siteUrl).replace(/\/+$/, ''));
+    return markdown;
+}
+
+/**
+ * List the pages of a product that have a source file
+ * Latest version in the default language, in tree order.
+ * @param {string} productId - Product ID
+ * @returns {Array<object>} [{url, filePath}]
+ */
+function getSourcePages(productId) {
+    const pages = [];
+
+    for (const page of fileService.getTreePages(productId)) {
+        if (page.fallback) continue;
+
+        const urlPath = page.url.slice(`/${productId}/`.length);
+        try {
+            const { filePath } = fileService.resolvePageFile(productId, urlPath);
+            if (filePath) {
+                pages.push({ url: page.url, filePath });
+            }
+        } catch (error) {
+            continue; // Broken tree entries are reported by the link check
+        }
+    }
+
+    return pages;
+}
+
+/**
+ * Get the display name and description of a product
+ * @param {string} productId - Product ID
+ * @returns {object} {name, description}
+ */
+function describeProduct(productId) {
+    const product = fileService.getProductConfig(productId) || {};
+    return { name: product.name || productId, description: product.description || '' };
+}
+
+/**
+ * Build /llms.txt: every product with links to the Markdown of its pages
+ * @param {string} siteUrl - Public site URL for links (optional)
+ * @returns {Promise<string>} llms.txt content
+ */
+async function getLlmsIndex(siteUrl = '') {
+    const baseUrl = String(siteUrl).replace(/\/+$/, '');
+    const template = await fileAdapter.readFile(DOCS_TEMPLATE_PATH, 'utf-8');
+
+    const lines = [
+        `# ${getSiteTitle(template) || 'Documentation'}`,
+        '',
+        '> Every page is also available as Markdown: append `.md` to its URL.',
+        ''
+    ];
+
+    for (const productId of fileService.getProductIds()) {
+        const product = describeProduct(productId);
+        lines.push(`## ${product.name}`, '');
+        if (product.description) {
+            lines.push(product.description, '');
+        }
+        lines.push(`- [Full documentation](${baseUrl}/${productId}/llms-full.txt): All pages in one file`);
+
+        for (const page of getSourcePages(productId)) {
+            try {
+                // Same title and description as the page's meta tags
+                const { title, description } = seoService.describePage(await fileService.getRenderedContent(page.filePath));
+                lines.push(`- [${title}](${baseUrl}${page.url}.md)${description ? `: ${description}` : ''}`);
+            } catch (error) {
+                console.warn(`[LLMs] Skipped ${page.filePath}: ${error.message}`);
+            }
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Build /<product>/llms-full.txt: all pages of a product in tree order
+ * @param {string} productId - Product ID
+ * @param {string} siteUrl - Public site URL for links (optional)
+ * @returns {Promise<string>} Markdown
+ * @throws {ResourceNotFoundError} If the product does not exist
+ */
+async function getProductFullText(productId, siteUrl = '') {
+    if (!fileService.getProductIds().includes(productId)) {
+        throw new ResourceNotFoundError('Product not found');
+    }
+
+    const baseUrl = String(siteUrl).replace(/\/+$/, '');
+    const product = describeProduct(productId);
+
+    const sections = [[`# ${product.name}`, product.description && `> ${product.description}`].filter(Boolean).join('\n\n')];
+    for (const page of getSourcePages(productId)) {
+        try {
+            const { markdown } = await renderPageFile(page.filePath, baseUrl);
+            sections.push(`${markdown}\nSource: ${baseUrl}${page.url}`);
+        } catch (error) {
+            console.warn(`[LLMs] Skipped ${page.filePath}: ${error.message}`);
+        }
+    }
+
+    return `${sections.join('\n\n---\n\n')}\n`;
+}
+
+module.exports = {
+    flattenComponents,
+    getPageMarkdown,
+    getSourcePages,
+    getLlmsIndex,
+    getProductFullText
+};
@@ -0,0 +1,602 @@
+/**
+ * MDX Service
+ * Compiles MDX with @mdx-js/mdx and renders it to static HTML
+ * using the same component renderers as the Markdown pipeline
+ *
+ * Editors are not trusted: JavaScript in MDX is limited to literal values (`cols={2}`,
+ * `tags={["API"]}`, `export const version = "1.2"`) unless config.mdx.allowExpressions is set.
+ * With allowExpressions, page code runs with the full rights of the server process: the vm
+ * context only keeps globals out of reach by name (the components it receives lead back to
+ * `Function` and `process`), and config.mdx.timeoutMs merely stops runaway renders.
+ */
+
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const config = require('../config');
+const { MDXCompileError } = require('../utils/customErrors');
+const { escapeMdxHeadingAnchors } = require('../utils/headings');
+const { escapeHtml } = require('../utils/escape');
+const { getHighlighter } = require('./highlightService');
+
+// Shared component renderers (ES modules, also used by the browser)
+const COMPONENTS_DIR = path.join(__dirname, '..', '..', 'apps', 'docs', 'js', 'components');
+
+// Elements without closing tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// JSX prop names that differ from HTML attribute names
+const ATTRIBUTE_NAMES = {
+    className: 'class',
+    htmlFor: 'for'
+};
+
+// Lazily created component map
+let componentsPromise = null;
+
+/**
+ * Pre-rendered HTML that must not be escaped again
+ */
+class RawHtml {
+    constructor(html) {
+        this.html = html;
+    }
+}
+
+// ==================== STATIC JSX RUNTIME ====================
+
+const Fragment = Symbol('mdx.fragment');
+
+/**
+ * Create an element node (called by the compiled MDX code)
+ * @param {string|Function|symbol} type - Tag name, component or Fragment
+ * @param {object} props - Element props including children
+ * @returns {object} Element node
+ */
+function jsx(type, props) {
+    return { type, props: props || {} };
+}
+
+const runtime = { Fragment, jsx, jsxs: jsx };
+
+/**
+ * Convert a JSX style object into a CSS declaration string
+ * @param {object} style - Style object (camelCase keys)
+ * @returns {string} CSS declarations
+ */
+function styleToString(style) {
+    return Object.entries(style)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key.replace(/[A-Z]/g, m => '-' + m.toLowerCase())}: ${value};`)
+        .join(' ');
+}
+
+/**
+ * Render element props as HTML attributes
+ * @param {object} props - Element props
+ * @returns {string} Attribute string (with leading space)
+ */
+function renderAttributes(props) {
+    let attributes = '';
+
+    for (const [key, value] of Object.entries(props)) {
+        if (key === 'children' || value === null || value === undefined || value === false) continue;
+        if (typeof value === 'function') continue;
+
+        const name = ATTRIBUTE_NAMES[key] || key;
+
+        if (value === true) {
+            attributes += ` ${name}`;
+        } else if (key === 'style' && typeof value === 'object') {
+            attributes += ` style="${escapeHtml(styleToString(value))}"`;
+        } else {
+            attributes += ` ${name}="${escapeHtml(value)}"`;
+        }
+    }
+
+    return attributes;
+}
+
+/**
+ * Render a node tree produced by the JSX runtime to HTML
+ * @param {*} node - Element node, text, array or RawHtml
+ * @returns {string} HTML
+ */
+function renderNode(node) {
+    if (node === null || node === undefined || typeof node === 'boolean') return '';
+    if (node instanceof RawHtml) return node.html;
+    if (Array.isArray(node)) return node.map(renderNode).join('');
+    if (typeof node !== 'object') return escapeHtml(node);
+
+    const { type, props } = node;
+
+    if (type === Fragment) {
+        return renderNode(props.children);
+    }
+
+    if (typeof type === 'function') {
+        return renderNode(type(props));
+    }
+
+    const children = renderNode(props.children);
+
+    if (VOID_ELEMENTS.has(type)) {
+        return `<${type}${renderAttributes(props)}>`;
+    }
+
+    return `<${type}${renderAttributes(props)}>${children}</${type}>`;
+}
+
+/**
+ * Flatten children into a list of nodes
+ * @param {*} children - props.children
+ * @returns {Array} Child nodes
+ */
+function toChildArray(children) {
+    if (children === null || children === undefined) return [];
+    return Array.isArray(children) ? children.flat(Infinity) : [children];
+}
+
+/**
+ * Find child elements of a given type
+ * @param {*} children - props.children
+ * @param {string|Function} type - Tag name or component
+ * @returns {Array} Matching element nodes
+ */
+function findElements(children, type) {
+    return toChildArray(children).filter(child => child && typeof child === 'object' && child.type === type);
+}
+
+/**
+ * Get the text content of a node tree
+ * @param {*} node - Node tree
+ * @returns {string} Text content
+ */
+function textContent(node) {
+    if (node === null || node === undefined || typeof node === 'boolean') return '';
+    if (Array.isArray(node)) return node.map(textContent).join('');
+    if (typeof node !== 'object') return String(node);
+    if (node instanceof RawHtml) return node.html;
+    return textContent(node.props.children);
+}
+
+/**
+ * Generate a unique id for interactive components
+ * @param {string} prefix - Component prefix
+ * @returns {string} Unique id
+ */
+function uniqueId(prefix) {
+    return prefix + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Read a boolean prop that may be written as a flag or a string
+ * @param {*} value - Prop value
+ * @returns {boolean}
+ */
+function isTrue(value) {
+    return value === true || value === 'true';
+}
+
+// ==================== COMPONENTS ====================
+
+/**
+ * Import a shared component module
+ * @param {string} fileName - File name in the components directory
+ * @returns {Promise<object>} Module namespace
+ */
+function importComponent(fileName) {
+    return import(pathToFileURL(path.join(COMPONENTS_DIR, fileName)).href);
+}
+
+/**
+ * Build the MDX component map on top of the shared renderers
+ * @returns {Promise<object>} Components keyed by JSX name
+ */
+async function createComponents() {
+    const [
+        { renderCallout },
+        { renderTabs },
+        { renderSteps },
+        { renderAccordion, renderAccordionGroup },
+        { renderCodeGroup },
+        { renderCodeBlock, parseCodeMeta },
+        { renderColumns },
+        { renderFrame },
+        { renderExpandable },
+        { renderResponseField },
+        { renderUpdate }
+    ] = await Promise.all([
+        'Callouts.js',
+        'Tabs.js',
+        'Steps.js',
+        'Accordions.js',
+        'CodeGroups.js',
+        'CodeBlocks.js',
+        'Columns.js',
+        'Frames.js',
+        'Expandables.js',
+        'ResponseFields.js',
+        'Updates.js'
+    ].map(importComponent));
+
+    const highlightCode = await getHighlighter();
+
+    /**
+     * Extract {code, language, meta} from a <pre><code> element
+     */
+    const readCodeElement = (preProps) => {
+        const code = findElements(preProps.children, 'code')[0];
+        if (!code) return null;
+
+        const className = code.props.className || '';
+        const languageMatch = String(className).match(/language-(\S+)/);
+
+        return {
+            code: textContent(code.props.children).replace(/\n$/, ''),
+            language: languageMatch ? languageMatch[1] : 'plaintext',
+            meta: code.props.metastring ? String(code.props.metastring).trim() : ''
+        };
+    };
+
+    const callout = (type) => (props) => new RawHtml(renderCallout(
+        type,
+        { icon: props.icon || null, color: props.color || null, iconType: props.iconType || null },
+        renderNode(props.children)
+    ));
+
+    // Item components render their children when used on their own;
+    // their parent component reads them by identity
+    const Tab = (props) => new RawHtml(renderNode(props.children));
+    const Step = (props) => new RawHtml(renderNode(props.children));
+    const Card = (props) => new RawHtml(renderNode(props.children));
+
+    const Accordion = (props) => new RawHtml(renderAccordion(
+        {
+            title: props.title,
+            icon: props.icon || null,
+            defaultOpen: isTrue(props.defaultOpen),
+            description: props.description || null
+        },
+        renderNode(props.children),
+        uniqueId('accordion')
+    ));
+
+    const pre = (props) => {
+        const block = readCodeElement(props);
+        if (!block) return jsx('pre', props);
+        return new RawHtml(renderCodeBlock(block.code, block.language, highlightCode, block.meta));
+    };
+
+    return {
+        Note: callout('note'),
+        Warning: callout('warning'),
+        Info: callout('info'),
+        Tip: callout('tip'),
+        Check: callout('check'),
+        Danger: callout('danger'),
+        Callout: callout('callout'),
+
+        Tabs: (props) => new RawHtml(renderTabs(
+            findElements(props.children, Tab).map(tab => ({
+                title: tab.props.title,
+                icon: tab.props.icon || null,
+                contentHTML: renderNode(tab.props.children)
+            })),
+            uniqueId('tabs')
+        )),
+        Tab,
+
+        Steps: (props) => new RawHtml(renderSteps(
+            findElements(props.children, Step).map(step => ({
+                title: step.props.title,
+                icon: step.props.icon || null,
+                contentHTML: renderNode(step.props.children)
+            }))
+        )),
+        Step,
+
+        Accordion,
+        AccordionGroup: (props) => new RawHtml(renderAccordionGroup(
+            findElements(props.children, Accordion).map(item => ({
+                title: item.props.title,
+                icon: item.props.icon || null,
+                defaultOpen: isTrue(item.props.defaultOpen),
+                description: item.props.description || null,
+                contentHTML: renderNode(item.props.children)
+            }))
+        )),
+
+        CodeGroup: (props) => new RawHtml(renderCodeGroup(
+            findElements(props.children, pre)
+                .map(element => readCodeElement(element.props))
+                .filter(Boolean)
+                .map(block => {
+                    const options = parseCodeMeta(block.meta, block.code.split('\n').length);
+                    return { language: block.language, title: options.title || block.language, code: block.code, options };
+                }),
+            isTrue(props.dropdown),
+            uniqueId('codegroup'),
+            highlightCode
+        )),
+        pre,
+
+        Columns: (props) => new RawHtml(renderColumns(
+            parseInt(props.cols, 10) || 2,
+            findElements(props.children, Card).map(card => ({
+                title: card.props.title,
+                icon: card.props.icon || null,
+                contentHTML: renderNode(card.props.children)
+            }))
+        )),
+        Card,
+
+        Frame: (props) => new RawHtml(renderFrame(
+            { caption: props.caption || null },
+            renderNode(props.children)
+        )),
+
+        Expandable: (props) => new RawHtml(renderExpandable(
+            { title: props.title, defaultOpen: isTrue(props.defaultOpen) },
+            renderNode(props.children),
+            uniqueId('expandable')
+        )),
+
+        ResponseField: (props) => new RawHtml(renderResponseField(
+            {
+                name: props.name,
+                type: props.type,
+                required: isTrue(props.required),
+                defaultValue: props.default !== undefined ? String(props.default) : null,
+                deprecated: isTrue(props.deprecated)
+            },
+            renderNode(props.children)
+        )),
+
+        // tags as a list (tags={["Feature", "API"]}) or comma-separated string
+        Update: (props) => new RawHtml(renderUpdate(
+            {
+                date: String(props.date || ''),
+                label: props.label || null,
+                tags: (Array.isArray(props.tags) ? props.tags : String(props.tags || '').split(','))
+                    .map(tag => String(tag).trim())
+                    .filter(Boolean)
+            },
+            renderNode(props.children)
+        ))
+    };
+}
+
+/**
+ * Get the MDX component map
+ * @returns {Promise<object>} Components keyed by JSX name
+ */
+function getComponents() {
+    if (!componentsPromise) {
+        componentsPromise = createComponents().catch(error => {
+            componentsPromise = null;
+            throw error;
+        });
+    }
+
+    return componentsPromise;
+}
+
+// ==================== COMPILATION ====================
+
+/**
+ * Check whether an expression is a literal value (no calls, variables or operators with side effects)
+ * @param {object} node - ESTree expression
+ * @returns {boolean}
+ */
+function isLiteralExpression(node) {
+    switch (node && node.type) {
+        case 'Literal':
+            return true;
+        case 'TemplateLiteral':
+            return node.expressions.length === 0;
+        case 'ArrayExpression':
+            return node.elements.every(isLiteralExpression);
+        case 'ObjectExpression':
+            return node.properties.every(property => property.type === 'Property' && property.kind === 'init'
+                && !property.computed && !property.method && isLiteralExpression(property.value));
+        case 'UnaryExpression':
+            return ['-', '+', '!'].includes(node.operator) && isLiteralExpression(node.argument);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check whether an MDX expression program only holds a literal (or a comment)
+ * @param {object} program - ESTree program of an {expression}
+ * @returns {boolean}
+ */
+function isLiteralProgram(program) {
+    const statements = program ? program.body : [];
+    return statements.length === 0
+        || (statements.length === 1 && statements[0].type === 'ExpressionStatement' && isLiteralExpression(statements[0].expression));
+}
+
+/**
+ * Check whether an import/export block only declares constants with literal values
+ * @param {object} program - ESTree program of the block
+ * @returns {boolean}
+ */
+function isLiteralExport(program) {
+    return program.body.every(statement => statement.type === 'ExportNamedDeclaration'
+        && statement.declaration
+        && statement.declaration.type === 'VariableDeclaration'
+        && statement.declaration.kind === 'const'
+        && statement.declaration.declarations.every(declarator =>
+            declarator.id.type === 'Identifier' && isLiteralExpression(declarator.init)));
+}
+
+/**
+ * Remark plugin: reject JavaScript beyond literal values unless config.mdx.allowExpressions is set
+ * Snippet imports are resolved before compiling, so any remaining import is rejected as well.
+ */
+function remarkLiteralExpressions() {
+    const check = (node, file) => {
+        const estree = node.data && node.data.estree;
+
+        if (node.type === 'mdxjsEsm') {
+            if (estree && estree.body.some(statement => statement.type === 'ImportDeclaration')) {
+                file.fail('Imports are only supported for snippets', node);
+            }
+            if (!config.mdx.allowExpressions && !(estree && isLiteralExport(estree))) {
+                file.fail('Only `export const name = <literal>` is allowed', node);
+            }
+        } else if (!config.mdx.allowExpressions) {
+            if ((node.type === 'mdxFlowExpression' || node.type === 'mdxTextExpression') && !isLiteralProgram(estree)) {
+                file.fail('JavaScript expressions are disabled, only literal values are allowed', node);
+            }
+            if (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') {
+                for (const attribute of node.attributes) {
+                    const value = attribute.value;
+                    if (attribute.type === 'mdxJsxExpressionAttribute'
+                        || (value && typeof value === 'object' && !isLiteralProgram(value.data && value.data.estree))) {
+                        file.fail(`JavaScript expressions are disabled, only literal values are allowed (<${node.name}>)`, node);
+                    }
+                }
+            }
+        }
+
+        if (node.children) node.children.forEach(child => check(child, file));
+    };
+
+    return (tree, file) => check(tree, file);
+}
+
+/**
+ * Run compiled MDX in a vm context and render it
+ * The context holds the JSX runtime, the components and the renderer; rendering (and with it
+ * every expression of the page) is stopped after config.mdx.timeoutMs. This is not a sandbox.
+ * @param {string} code - Compiled MDX (function-body output format)
+ * @param {object} components - Component map
+ * @returns {object} {html, exports} - exports include the MDXContent function
+ */
+function runCompiled(code, components) {
+    const context = vm.createContext(
+        { runtime, components, renderNode },
+        { codeGeneration: { strings: false, wasm: false } }
+    );
+    const script = new vm.Script([
+        `const mdxModule = (function () {\n${code}\n})(runtime);`,
+        '({ html: renderNode(mdxModule.default({ components })), exports: mdxModule });'
+    ].join('\n'), { filename: 'page.mdx' });
+
+    return script.runInContext(context, { timeout: config.mdx.timeoutMs });
+}
+
+/**
+ * Remark plugin: expose the code fence meta string (e.g. file title) as a prop
+ */
+function remarkCodeMeta() {
+    const visit = (node) => {
+        if (node.type === 'code' && node.meta) {
+            node.data = node.data || {};
+            node.data.hProperties = { ...node.data.hProperties, metastring: node.meta };
+        }
+        if (node.children) node.children.forEach(visit);
+    };
+
+    return (tree) => visit(tree);
+}
+
+// Unclosed JSX tags are reported at the enclosing block; the reason holds the tag's own position
+const UNCLOSED_TAG_REGEX = /^Expected a closing tag for `[^`]*` \((\d+):(\d+)-/;
+
+/**
+ * Find the source position of a compile error
+ * @param {Error} error - Error thrown by @mdx-js/mdx (a VFileMessage)
+ * @returns {object} {line, column} - null when the error has no position
+ */
+function getErrorPosition(error) {
+    const unclosedTag = UNCLOSED_TAG_REGEX.exec(error.reason || '');
+    if (unclosedTag) {
+        return { line: Number(unclosedTag[1]), column: Number(unclosedTag[2]) };
+    }
+
+    // `place` is either a point or a {start, end} position
+    const point = error.place ? (error.place.start || error.place) : error;
+    return {
+        line: point.line || null,
+        column: point.column || null
+    };
+}
+
+/**
+ * Convert a compile or runtime error into an MDXCompileError
+ * @param {Error} error - Error thrown by @mdx-js/mdx or the compiled code
+ * @returns {MDXCompileError}
+ */
+function toCompileError(error) {
+    const { line, column } = getErrorPosition(error);
+    const reason = error.reason || error.message;
+    const location = line ? ` at line ${line}${column ? `, column ${column}` : ''}` : '';
+
+    return new MDXCompileError(`MDX compile error${location}: ${reason}`, line, column);
+}
+
+/**
+ * Keep only JSON-serializable exports (drop functions and components)
+ * @param {object} exports - Module exports
+ * @returns {object} Serializable exports
+ */
+function serializableExports(exports) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(exports)) {
+        if (typeof value === 'function' || typeof value === 'symbol') continue;
+        try {
+            result[key] = JSON.parse(JSON.stringify(value));
+        } catch (error) {
+            // Skip values that cannot be serialized (circular, BigInt, ...)
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compile MDX content and render it to static HTML
+ * @param {string} content - Raw MDX content
+ * @returns {Promise<object>} {html, exports} - Rendered HTML and `export const` values
+ * @throws {MDXCompileError} With line/column when the MDX cannot be compiled or run
+ */
+async function renderMDX(content) {
+    const { compile } = await import('@mdx-js/mdx');
+
+    let compiled;
+    try {
+        // `{#id}` heading anchors would otherwise be parsed as JS expressions
+        compiled = await compile(escapeMdxHeadingAnchors(content), {
+            outputFormat: 'function-body',
+            development: false,
+            remarkPlugins: [remarkLiteralExpressions, remarkCodeMeta]
+        });
+    } catch (error) {
+        throw toCompileError(error);
+    }
+
+    const components = await getComponents();
+
+    try {
+        const { html, exports } = runCompiled(String(compiled), components);
+
+        return {
+            html,
+            exports: serializableExports(exports)
+        };
+    } catch (error) {
+        throw toCompileError(error);
+    }
+}
+
+module.exports = {
+    renderMDX
+};
@@ -0,0 +1,848 @@
+/**
+ * OpenAPI Service
+ * Generates API reference pages from an OpenAPI spec placed in a content folder
+ *
+ * A folder containing `openapi.json`, `openapi.yaml` or `openapi.yml` gets one category
+ * per tag with one page per operation. The pages do not exist on disk: their paths lead
+ * through the spec file (e.g. "docs/02-API_Reference/openapi.yaml/pets/list-pets.md") and
+ * their Markdown is generated from the spec, using the <ResponseField> and <CodeGroup>
+ * components for parameters, schemas and request samples.
+ */
+
+const path = require('path');
+const config = require('../config');
+const fileAdapter = require('../data/fileSystemAdapter');
+const YAML = require('yaml');
+const { ResourceNotFoundError } = require('../utils/customErrors');
+
+// Spec file names (first match wins)
+const SPEC_FILES = ['openapi.json', 'openapi.yaml', 'openapi.yml'];
+
+// Operation keys of a path item
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Category of operations without tags
+const UNTAGGED_NAME = 'Endpoints';
+
+// Generated categories come after the hand-written pages of their folder (unprefixed entries sort at 999)
+const SPEC_ORDER_OFFSET = 1000;
+
+// Deepest nesting of schema properties listed or used in examples
+const MAX_SCHEMA_DEPTH = 4;
+
+// Parameter locations and their section headings
+const PARAMETER_SECTIONS = [
+    ['path', 'Path parameters'],
+    ['query', 'Query parameters'],
+    ['header', 'Headers'],
+    ['cookie', 'Cookies']
+];
+
+// Parsed specs per absolute path, invalidated by mtime
+const specCache = new Map();
+
+/**
+ * Turn a name into a URL slug (e.g. "listPets" -> "list-pets", "Pet Store" -> "pet-store")
+ * @param {string} text - Name
+ * @returns {string} Slug
+ */
+function slugify(text) {
+    return String(text || '')
+        .replace(/([a-z\d])([A-Z])/g, '$1-$2')
+        .toLowerCase()
+        .replace(/[\s_./{}]+/g, '-')
+        .replace(/[^a-z0-9-]/g, '')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Escape text for a component attribute
+ * @param {*} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Find the spec file of a folder
+ * @param {string} dirPath - Absolute folder path
+ * @returns {string|null} Spec file name
+ */
+function findSpecFile(dirPath) {
+    return SPEC_FILES.find(name => {
+        const specPath = path.join(dirPath, name);
+        return fileAdapter.exists(specPath) && fileAdapter.statSync(specPath).isFile();
+    }) || null;
+}
+
+/**
+ * Group the operations of a spec by tag
+ * Tags keep the order of the spec's `tags` list, then the order they first appear in.
+ * @param {object} document - OpenAPI document
+ * @returns {Array<object>} [{name, slug, description, operations: [{slug, title, method, path, operation, pathItem}]}]
+ */
+function groupOperations(document) {
+    const tags = new Map();
+    const getTag = (name) => {
+        if (!tags.has(name)) {
+            const definition = (document.tags || []).find(tag => tag && tag.name === name) || {};
+            tags.set(name, {
+                name,
+                slug: slugify(name) || 'endpoints',
+                description: definition.description || null,
+                operations: []
+            });
+        }
+        return tags.get(name);
+    };
+
+    for (const tag of document.tags || []) {
+        if (tag && tag.name) getTag(tag.name);
+    }
+
+    for (const [apiPath, pathItem] of Object.entries(document.paths || {})) {
+        if (!pathItem || typeof pathItem !== 'object') continue;
+
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem[method];
+            if (!operation || typeof operation !== 'object') continue;
+
+            const tag = getTag((operation.tags && operation.tags[0]) || UNTAGGED_NAME);
+            const baseSlug = slugify(operation.operationId || operation.summary || `${method} ${apiPath}`) || method;
+
+            // Slugs are unique within their tag
+            let slug = baseSlug;
+            for (let suffix = 2; tag.operations.some(entry => entry.slug === slug); suffix++) {
+                slug = `${baseSlug}-${suffix}`;
+            }
+
+            tag.operations.push({
+                slug,
+                title: operation.summary || `${method.toUpperCase()} ${apiPath}`,
+                method,
+                path: apiPath,
+                operation,
+                pathItem
+            });
+        }
+    }
+
+    return [...tags.values()].filter(tag => tag.operations.length > 0);
+}
+
+/**
+ * Read and parse a spec file (cached by modification time)
+ * @param {string} specPath - Absolute spec path
+ * @returns {object|null} {document, tags}, or null if the spec is invalid
+ */
+function loadSpec(specPath) {
+    let stats;
+    try {
+        stats = fileAdapter.statSync(specPath);
+    } catch (error) {
+        return null;
+    }
+
+    const cached = specCache.get(specPath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+        return cached.spec;
+    }
+
+    let spec = null;
+    try {
+        const source = fileAdapter.readFileSync(specPath, 'utf-8');
+        const document = specPath.endsWith('.json') ? JSON.parse(source) : YAML.parse(source);
+        if (!document || typeof document !== 'object' || !document.paths) {
+            throw new Error('No "paths" found');
+        }
+        spec = { document, tags: groupOperations(document) };
+    } catch (error) {
+        console.warn(`[OpenAPI] Invalid spec ${specPath}: ${error.message}`);
+    }
+
+    // Invalid specs are cached too, so they are reported once per change
+    specCache.set(specPath, { mtimeMs: stats.mtimeMs, spec });
+    return spec;
+}
+
+/**
+ * Build the tree entries generated from a folder's spec
+ * @param {string} dirPath - Absolute folder path
+ * @param {string} relativePath - Folder path relative to the product root
+ * @returns {Array<object>} Category per tag with a page per operation (empty without valid spec)
+ */
+function getSpecTree(dirPath, relativePath = '') {
+    const specFile = findSpecFile(dirPath);
+    const spec = specFile && loadSpec(path.join(dirPath, specFile));
+    if (!spec) {
+        return [];
+    }
+
+    const specRelativePath = relativePath ? `${relativePath}/${specFile}` : specFile;
+
+    return spec.tags.map((tag, tagIndex) => ({
+        type: 'category',
+        id: tag.slug,
+        name: tag.name,
+        description: tag.description,
+        icon: null,
+        collapsed: true,
+        urlSlug: tag.slug,
+        order: SPEC_ORDER_OFFSET + tagIndex,
+        path: `${specRelativePath}/${tag.slug}`,
+        children: tag.operations.map((entry, operationIndex) => ({
+            type: 'file',
+            id: entry.slug,
+            name: entry.title,
+            title: entry.title,
+            description: null,
+            icon: null,
+            tags: [],
+            urlSlug: entry.slug,
+            order: operationIndex,
+            path: `${specRelativePath}/${tag.slug}/${entry.slug}.md`,
+            fileName: `${entry.slug}.md`,
+            fileType: 'md',
+            method: entry.method,
+            generated: true
+        })),
+        hasFiles: true,
+        hasSubcategories: false,
+        hasIndex: false,
+        generated: true
+    }));
+}
+
+/**
+ * Split a generated page or category path into spec and slugs
+ * @param {string} absolutePath - Absolute path (e.g. ".../openapi.yaml/pets/list-pets.md")
+ * @returns {object|null} {specPath, tagSlug, operationSlug (null for categories)}, or null for other paths
+ */
+function parseVirtualPath(absolutePath) {
+    const segments = path.normalize(absolutePath).split(path.sep);
+
+    const specIndex = segments.findIndex(segment => SPEC_FILES.includes(segment));
+    const rest = segments.slice(specIndex + 1);
+    if (specIndex === -1 || rest.length === 0 || rest.length > 2) {
+        return null;
+    }
+    if (rest.length === 2 && !rest[1].endsWith('.md')) {
+        return null;
+    }
+
+    const specPath = segments.slice(0, specIndex + 1).join(path.sep);
+    if (!fileAdapter.exists(specPath) || !fileAdapter.statSync(specPath).isFile()) {
+        return null;
+    }
+
+    return {
+        specPath,
+        tagSlug: rest[0],
+        operationSlug: rest.length === 2 ? rest[1].slice(0, -'.md'.length) : null
+    };
+}
+
+/**
+ * Resolve URL slugs below a folder to a generated category or page
+ * @param {string} dirPath - Absolute folder path
+ * @param {Array<string>} slugs - Remaining URL slugs ([tag] or [tag, operation])
+ * @returns {Array<string>|null} Path segments below the folder (e.g. ["openapi.yaml", "pets", "list-pets.md"])
+ */
+function resolveSlugs(dirPath, slugs) {
+    if (slugs.length < 1 || slugs.length > 2) {
+        return null;
+    }
+
+    const specFile = findSpecFile(dirPath);
+    const spec = specFile && loadSpec(path.join(dirPath, specFile));
+    const tag = spec && spec.tags.find(entry => entry.slug === slugs[0].toLowerCase());
+    if (!tag) {
+        return null;
+    }
+    if (slugs.length === 1) {
+        return [specFile, tag.slug];
+    }
+
+    const entry = tag.operations.find(operation => operation.slug === slugs[1].toLowerCase());
+    return entry ? [specFile, tag.slug, `${entry.slug}.md`] : null;
+}
+
+/**
+ * Get a generated category with its pages
+ * @param {string} absolutePath - Absolute category path (".../openapi.yaml/pets")
+ * @param {string} relativePath - Category path relative to the product root
+ * @returns {object|null} Tree category with the absolute `specPath`, or null for other paths
+ */
+function getTagCategory(absolutePath, relativePath) {
+    const virtualPath = parseVirtualPath(absolutePath);
+    if (!virtualPath || virtualPath.operationSlug) {
+        return null;
+    }
+
+    const specDir = path.posix.dirname(path.posix.dirname(relativePath.split(path.sep).join('/')));
+    const category = getSpecTree(path.dirname(virtualPath.specPath), specDir === '.' ? '' : specDir)
+        .find(item => item.urlSlug === virtualPath.tagSlug);
+
+    return category ? { ...category, specPath: virtualPath.specPath } : null;
+}
+
+/**
+ * Follow a local `$ref` ("#/components/schemas/Pet")
+ * @param {object} document - OpenAPI document
+ * @param {object} value - Object that may be a reference
+ * @param {number} depth - Followed references so far
+ * @returns {object} Referenced object (empty for unresolvable references)
+ */
+function resolveRef(document, value, depth = 0) {
+    if (!value || typeof value !== 'object' || typeof value.$ref !== 'string') {
+        return value || {};
+    }
+    if (depth > 10 || !value.$ref.startsWith('#/')) {
+        return {};
+    }
+
+    const target = value.$ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), document);
+
+    return resolveRef(document, target, depth + 1);
+}
+
+/**
+ * Resolve a schema: follow its reference and merge `allOf` parts
+ * @param {object} document - OpenAPI document
+ * @param {object} schema - Schema
+ * @returns {object} Resolved schema
+ */
+function resolveSchema(document, schema) {
+    const resolved = resolveRef(document, schema);
+    if (!Array.isArray(resolved.allOf)) {
+        return resolved;
+    }
+
+    const merged = { ...resolved, properties: { ...resolved.properties }, required: [...(resolved.required || [])] };
+    delete merged.allOf;
+
+    for (const part of resolved.allOf) {
+        const partSchema = resolveSchema(document, part);
+        Object.assign(merged.properties, partSchema.properties);
+        merged.required.push(...(partSchema.required || []));
+        merged.type = merged.type || partSchema.type;
+        merged.description = merged.description || partSchema.description;
+    }
+
+    return merged;
+}
+
+/**
+ * Describe the type of a schema (e.g. "string", "integer (int64)", "Pet[]", "Cat | Dog")
+ * @param {object} document - OpenAPI document
+ * @param {object} schema - Schema
+ * @returns {string} Type label
+ */
+function getTypeLabel(document, schema) {
+    if (!schema || typeof schema !== 'object') {
+        return 'any';
+    }
+
+    const refName = typeof schema.$ref === 'string' ? schema.$ref.split('/').pop() : null;
+    const resolved = resolveSchema(document, schema);
+
+    const variants = resolved.oneOf || resolved.anyOf;
+    if (Array.isArray(variants)) {
+        return variants.map(variant => getTypeLabel(document, variant)).join(' | ');
+    }
+    if (resolved.type === 'array') {
+        return `${getTypeLabel(document, resolved.items)}[]`;
+    }
+
+    const type = Array.isArray(resolved.type) ? resolved.type.join(' | ') : resolved.type;
+    if (refName && (!type || type === 'object')) {
+        return refName;
+    }
+
+    let label = type || (resolved.properties ? 'object' : 'any');
+    if (resolved.format) label += ` (${resolved.format})`;
+    if (resolved.nullable) label += ' | null';
+    return label;
+}
+
+/**
+ * Build an example value for a schema
+ * Uses `example`, `examples`, `default` and `enum`, else a placeholder per type.
+ * @param {object} document - OpenAPI document
+ * @param {object} schema - Schema
+ * @param {number} depth - Nesting depth
+ * @returns {*} Example value
+ */
+function getExampleValue(document, schema, depth = 0) {
+    const resolved = resolveSchema(document, schema);
+
+    if (resolved.example !== undefined) return resolved.example;
+    if (Array.isArray(resolved.examples) && resolved.examples.length > 0) return resolved.examples[0];
+    if (resolved.default !== undefined) return resolved.default;
+    if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+
+    const variants = resolved.oneOf || resolved.anyOf;
+    if (Array.isArray(variants) && variants.length > 0) {
+        return getExampleValue(document, variants[0], depth);
+    }
+
+    const type = Array.isArray(resolved.type) ? resolved.type[0] : resolved.type;
+    if (type === 'array') {
+        return depth < MAX_SCHEMA_DEPTH ? [getExampleValue(document, resolved.items, depth + 1)] : [];
+    }
+    if (type === 'object' || resolved.properties) {
+        if (depth >= MAX_SCHEMA_DEPTH) return {};
+        return Object.fromEntries(Object.entries(resolved.properties || {})
+            .map(([name, property]) => [name, getExampleValue(document, property, depth + 1)]));
+    }
+    if (type === 'integer' || type === 'number') return 0;
+    if (type === 'boolean') return true;
+    if (type === 'string') {
+        const formats = {
+            'date-time': '2024-01-01T00:00:00Z',
+            date: '2024-01-01',
+            email: 'user@example.com',
+            uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+            uri: 'https://example.com'
+        };
+        return formats[resolved.format] || 'string';
+    }
+    return null;
+}
+
+/**
+ * Render a schema field as a <ResponseField>
+ * @param {object} field - {name, type, required, deprecated, defaultValue, description, enumValues}
+ * @returns {string} Markdown
+ */
+function renderField(field) {
+    let attributes = `name="${escapeAttribute(field.name)}" type="${escapeAttribute(field.type)}"`;
+    if (field.required) attributes += ' required';
+    if (field.defaultValue !== undefined && field.defaultValue !== null) {
+        attributes += ` default="${escapeAttribute(typeof field.defaultValue === 'object' ? JSON.stringify(field.defaultValue) : field.defaultValue)}"`;
+    }
+    if (field.deprecated) attributes += ' deprecated';
+
+    const body = [];
+    if (field.description) body.push(String(field.description).trim());
+    if (field.enumValues && field.enumValues.length > 0) {
+        body.push(`Allowed values: ${field.enumValues.map(value => `\`${value}\``).join(', ')}`);
+    }
+
+    return `<ResponseField ${attributes}>\n${body.join('\n\n')}\n</ResponseField>`;
+}
+
+/**
+ * List the properties of a schema as fields, nested properties with dotted names
+ * @param {object} document - OpenAPI document
+ * @param {object} schema - Object (or array of objects) schema
+ * @param {string} prefix - Name prefix of nested properties (e.g. "owner.")
+ * @param {number} depth - Nesting depth
+ * @returns {Array<string>} <ResponseField> blocks
+ */
+function renderSchemaFields(document, schema, prefix = '', depth = 0) {
+    let resolved = resolveSchema(document, schema);
+    if (resolved.type === 'array' && depth === 0) {
+        resolved = resolveSchema(document, resolved.items);
+    }
+
+    const required = resolved.required || [];
+    const fields = [];
+
+    for (const [name, property] of Object.entries(resolved.properties || {})) {
+        const propertySchema = resolveSchema(document, property);
+        fields.push(renderField({
+            name: prefix + name,
+            type: getTypeLabel(document, property),
+            required: required.includes(name),
+            deprecated: propertySchema.deprecated,
+            defaultValue: propertySchema.default,
+            description: propertySchema.description,
+            enumValues: propertySchema.enum
+        }));
+
+        if (depth >= MAX_SCHEMA_DEPTH) continue;
+
+        const itemSchema = propertySchema.type === 'array' ? resolveSchema(document, propertySchema.items) : null;
+        if (propertySchema.properties) {
+            fields.push(...renderSchemaFields(document, propertySchema, `${prefix}${name}.`, depth + 1));
+        } else if (itemSchema && itemSchema.properties) {
+            fields.push(...renderSchemaFields(document, itemSchema, `${prefix}${name}[].`, depth + 1));
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Pick the media type shown for a request body or response (JSON preferred)
+ * @param {object} content - OpenAPI content map
+ * @returns {Array|null} [mediaType, mediaTypeObject]
+ */
+function pickContent(content) {
+    const entries = Object.entries(content || {});
+    return entries.find(([type]) => /json/i.test(type)) || entries[0] || null;
+}
+
+/**
+ * Get the example of a media type object
+ * @param {object} document - OpenAPI document
+ * @param {object} media - Media type object
+ * @returns {*} Example, or undefined if there is none and no schema
+ */
+function getMediaExample(document, media) {
+    if (media.example !== undefined) return media.example;
+
+    const examples = Object.values(media.examples || {});
+    if (examples.length > 0) {
+        const example = resolveRef(document, examples[0]);
+        if (example.value !== undefined) return example.value;
+    }
+
+    return media.schema ? getExampleValue(document, media.schema) : undefined;
+}
+
+/**
+ * Get the parameters of an operation (path-level parameters overridden by operation-level ones)
+ * @param {object} document - OpenAPI document
+ * @param {object} entry - Operation entry
+ * @returns {Array<object>} Resolved parameters
+ */
+function getParameters(document, entry) {
+    const parameters = new Map();
+    for (const parameter of [...(entry.pathItem.parameters || []), ...(entry.operation.parameters || [])]) {
+        const resolved = resolveRef(document, parameter);
+        if (resolved.name && resolved.in) {
+            parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+        }
+    }
+    return [...parameters.values()];
+}
+
+/**
+ * Get the request URL and authentication headers used by the samples
+ * @param {object} document - OpenAPI document
+ * @param {object} entry - Operation entry
+ * @param {Array<object>} parameters - Resolved parameters
+ * @returns {object} {url, headers: [[name, value]]}
+ */
+function getSampleRequest(document, entry, parameters) {
+    const servers = entry.operation.servers || entry.pathItem.servers || document.servers || [];
+    const server = servers[0] || {};
+    const baseUrl = String(server.url || '')
+        .replace(/\{([^}]+)\}/g, (match, name) => {
+            const variable = (server.variables || {})[name];
+            return variable && variable.default !== undefined ? variable.default : match;
+        })
+        .replace(/\/+$/, '');
+
+    const exampleOf = (parameter) => (parameter.example !== undefined
+        ? parameter.example
+        : getExampleValue(document, parameter.schema));
+
+    const apiPath = entry.path.replace(/\{([^}]+)\}/g, (match, name) => {
+        const parameter = parameters.find(candidate => candidate.in === 'path' && candidate.name === name);
+        const value = parameter && (parameter.example !== undefined || (parameter.schema && parameter.schema.example !== undefined))
+            ? exampleOf(parameter)
+            : null;
+        return value !== null ? encodeURIComponent(value) : match;
+    });
+
+    const query = [];
+    const headers = [];
+    for (const parameter of parameters) {
+        if (!parameter.required) continue;
+        if (parameter.in === 'query') {
+            query.push(`${encodeURIComponent(parameter.name)}=${encodeURIComponent(exampleOf(parameter))}`);
+        } else if (parameter.in === 'header') {
+            headers.push([parameter.name, String(exampleOf(parameter))]);
+        }
+    }
+
+    // First security requirement of the operation (or the whole API)
+    const security = (entry.operation.security || document.security || [])[0] || {};
+    const schemes = (document.components && document.components.securitySchemes) || {};
+    for (const name of Object.keys(security)) {
+        const scheme = resolveRef(document, schemes[name]);
+        if (scheme.type === 'apiKey' && scheme.in === 'header') {
+            headers.push([scheme.name, '<api-key>']);
+        } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+            query.push(`${encodeURIComponent(scheme.name)}=<api-key>`);
+        } else if (scheme.type === 'http' && String(scheme.scheme).toLowerCase() === 'basic') {
+            headers.push(['Authorization', 'Basic <credentials>']);
+        } else if (scheme.type === 'http' || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+            headers.push(['Authorization', 'Bearer <token>']);
+        }
+    }
+
+    return {
+        url: `${baseUrl}${apiPath}${query.length > 0 ? `?${query.join('&')}` : ''}`,
+        headers
+    };
+}
+
+/**
+ * Format a JSON value as a Python literal
+ * @param {*} value - JSON value
+ * @param {number} indent - Indentation level
+ * @returns {string} Python source
+ */
+function toPython(value, indent = 0) {
+    const pad = '    '.repeat(indent + 1);
+    const closePad = '    '.repeat(indent);
+
+    if (value === null || value === undefined) return 'None';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        return `[\n${value.map(item => pad + toPython(item, indent + 1)).join(',\n')}\n${closePad}]`;
+    }
+    if (typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return '{}';
+        return `{\n${entries.map(([key, item]) => `${pad}${JSON.stringify(key)}: ${toPython(item, indent + 1)}`).join(',\n')}\n${closePad}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Render request samples (cURL, JavaScript, Python) as a <CodeGroup>
+ * @param {object} entry - Operation entry
+ * @param {object} request - {url, headers} from getSampleRequest
+ * @param {object|null} body - {mediaType, example} of the request body
+ * @returns {string} Markdown
+ */
+function renderRequestSamples(entry, request, body) {
+    const method = entry.method.toUpperCase();
+    const headers = [...request.headers];
+    const hasBody = body && body.example !== undefined;
+    const isJson = hasBody && /json/i.test(body.mediaType);
+    if (hasBody) headers.push(['Content-Type', body.mediaType]);
+
+    const quoteShell = (text) => `'${String(text).replace(/'/g, "'\\''")}'`;
+    const bodyText = hasBody ? (isJson ? JSON.stringify(body.example, null, 2) : String(body.example)) : '';
+
+    const curl = [`curl --request ${method}`, `--url ${quoteShell(request.url)}`];
+    for (const [name, value] of headers) {
+        curl.push(`--header ${quoteShell(`${name}: ${value}`)}`);
+    }
+    if (hasBody) curl.push(`--data ${quoteShell(bodyText)}`);
+
+    const fetchOptions = [`  method: '${method}'`];
+    if (headers.length > 0) {
+        fetchOptions.push(`  headers: {\n${headers.map(([name, value]) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)}`).join(',\n')}\n  }`);
+    }
+    if (hasBody) {
+        fetchOptions.push(isJson
+            ? `  body: JSON.stringify(${JSON.stringify(body.example, null, 2).replace(/\n/g, '\n  ')})`
+            : `  body: ${JSON.stringify(bodyText)}`);
+    }
+
+    const pythonArguments = [`    ${JSON.stringify(request.url)}`];
+    if (headers.length > 0) {
+        pythonArguments.push(`    headers=${toPython(Object.fromEntries(headers), 1)}`);
+    }
+    if (hasBody) {
+        pythonArguments.push(isJson ? `    json=${toPython(body.example, 1)}` : `    data=${JSON.stringify(bodyText)}`);
+    }
+
+    return [
+        '<CodeGroup>',
+        '```bash cURL',
+        curl.join(' \\\n  '),
+        '```',
+        '',
+        '```javascript JavaScript',
+        `const response = await fetch(${JSON.stringify(request.url)}, {`,
+        fetchOptions.join(',\n'),
+        '});',
+        '',
+        'const data = await response.json();',
+        '```',
+        '',
+        '```python Python',
+        'import requests',
+        '',
+        `response = requests.${entry.method}(`,
+        pythonArguments.join(',\n'),
+        ')',
+        'print(response.json())',
+        '```',
+        '</CodeGroup>'
+    ].join('\n');
+}
+
+/**
+ * Generate the Markdown page of an operation
+ * @param {object} document - OpenAPI document
+ * @param {object} entry - Operation entry
+ * @returns {string} Markdown with frontmatter
+ */
+function renderOperationPage(document, entry) {
+    const { operation } = entry;
+    const method = entry.method.toUpperCase();
+    const description = operation.description ? String(operation.description).trim() : '';
+    const summary = operation.summary && description ? description.split(/\n\s*\n/)[0].replace(/\s+/g, ' ') : '';
+
+    const lines = ['---', `title: ${JSON.stringify(entry.title)}`];
+    if (summary) lines.push(`description: ${JSON.stringify(summary)}`);
+    lines.push('---', '', `# ${entry.title}`, '', `\`${method} ${entry.path}\``, '');
+
+    if (operation.deprecated) {
+        lines.push('<Warning>', 'This endpoint is deprecated.', '</Warning>', '');
+    }
+    if (description) {
+        lines.push(description, '');
+    }
+
+    // Parameters
+    const parameters = getParameters(document, entry);
+    for (const [location, heading] of PARAMETER_SECTIONS) {
+        const fields = parameters.filter(parameter => parameter.in === location).map(parameter => {
+            const schema = resolveSchema(document, parameter.schema);
+            return renderField({
+                name: parameter.name,
+                type: getTypeLabel(document, parameter.schema),
+                required: parameter.required || location === 'path',
+                deprecated: parameter.deprecated,
+                defaultValue: schema.default,
+                description: parameter.description || schema.description,
+                enumValues: schema.enum
+            });
+        });
+        if (fields.length > 0) {
+            lines.push(`## ${heading}`, '', ...fields.flatMap(field => [field, '']));
+        }
+    }
+
+    // Request body
+    let body = null;
+    const requestBody = resolveRef(document, operation.requestBody);
+    const requestContent = pickContent(requestBody.content);
+    if (requestContent) {
+        const [mediaType, media] = requestContent;
+        body = { mediaType, example: getMediaExample(document, media) };
+
+        lines.push('## Request body', '');
+        if (requestBody.description) lines.push(String(requestBody.description).trim(), '');
+        lines.push(`Content type: \`${mediaType}\`${requestBody.required ? ' (required)' : ''}`, '');
+        if (media.schema) {
+            const schema = resolveSchema(document, media.schema);
+            if (schema.type === 'array') lines.push(`An array of \`${getTypeLabel(document, schema.items)}\`:`, '');
+            lines.push(...renderSchemaFields(document, media.schema).flatMap(field => [field, '']));
+        }
+    }
+
+    // Responses
+    const responseExamples = [];
+    const responses = Object.entries(operation.responses || {});
+    if (responses.length > 0) {
+        lines.push('## Responses', '');
+    }
+    for (const [status, response] of responses) {
+        const resolved = resolveRef(document, response);
+        lines.push(`### ${status}`, '');
+        if (resolved.description) lines.push(String(resolved.description).trim(), '');
+
+        const headerFields = Object.entries(resolved.headers || {}).map(([name, header]) => {
+            const resolvedHeader = resolveRef(document, header);
+            return renderField({
+                name,
+                type: getTypeLabel(document, resolvedHeader.schema),
+                required: resolvedHeader.required,
+                deprecated: resolvedHeader.deprecated,
+                description: resolvedHeader.description
+            });
+        });
+        if (headerFields.length > 0) {
+            lines.push('**Headers**', '', ...headerFields.flatMap(field => [field, '']));
+        }
+
+        const responseContent = pickContent(resolved.content);
+        if (responseContent) {
+            const [mediaType, media] = responseContent;
+            if (media.schema) {
+                const schema = resolveSchema(document, media.schema);
+                if (schema.type === 'array') lines.push(`An array of \`${getTypeLabel(document, schema.items)}\`:`, '');
+                lines.push(...renderSchemaFields(document, media.schema).flatMap(field => [field, '']));
+            }
+
+            const example = getMediaExample(document, media);
+            if (example !== undefined && /json/i.test(mediaType)) {
+                responseExamples.push(['json', status, JSON.stringify(example, null, 2)]);
+            }
+        }
+    }
+
+    // Samples
+    lines.push('## Request example', '', renderRequestSamples(entry, getSampleRequest(document, entry, parameters), body), '');
+    if (responseExamples.length > 0) {
+        lines.push('## Response example', '', '<CodeGroup>');
+        lines.push(responseExamples.map(([language, status, code]) => `\`\`\`${language} ${status}\n${code}\n\`\`\``).join('\n\n'));
+        lines.push('</CodeGroup>', '');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Get the generated Markdown of an operation page
+ * @param {string} absolutePath - Absolute page path (".../openapi.yaml/pets/list-pets.md")
+ * @returns {string} Markdown with frontmatter
+ * @throws {ResourceNotFoundError} If the spec has no such operation
+ */
+function getPageSource(absolutePath) {
+    const virtualPath = parseVirtualPath(absolutePath);
+    const spec = virtualPath && virtualPath.operationSlug && loadSpec(virtualPath.specPath);
+    const tag = spec && spec.tags.find(entry => entry.slug === virtualPath.tagSlug);
+    const entry = tag && tag.operations.find(operation => operation.slug === virtualPath.operationSlug);
+
+    if (!entry) {
+        throw new ResourceNotFoundError('File not found');
+    }
+
+    return renderOperationPage(spec.document, entry);
+}
+
+/**
+ * List the generated pages of a spec
+ * @param {string} specPath - Spec path relative to the content directory
+ * @returns {Array<string>} Page paths relative to the content directory
+ */
+function getSpecPages(specPath) {
+    const spec = loadSpec(path.join(config.paths.content, specPath));
+    if (!spec) {
+        return [];
+    }
+
+    return spec.tags.flatMap(tag => tag.operations.map(entry => `${specPath}/${tag.slug}/${entry.slug}.md`));
+}
+
+/**
+ * Check whether a file name is an OpenAPI spec
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isSpecFile(filePath) {
+    return SPEC_FILES.includes(path.basename(filePath));
+}
+
+module.exports = {
+    findSpecFile,
+    isSpecFile,
+    getSpecTree,
+    getSpecPages,
+    parseVirtualPath,
+    resolveSlugs,
+    getTagCategory,
+    getPageSource
+};
@@ -0,0 +1,186 @@
+/**
+ * Redirect Service
+ * Stores old → new page URL mappings (data/redirects.json)
+ *
+ * Entries are recorded when pages are renamed or moved and can be edited in the settings.
+ * URLs are docs page URLs without host, e.g. "/docs/documentation/old-page".
+ */
+
+const configManager = require('../utils/configManager');
+const { ValidationError } = require('../utils/customErrors');
+
+// Longest redirect chain followed when looking up a URL
+const MAX_REDIRECT_HOPS = 10;
+
+/**
+ * Normalize a page URL for comparison (leading slash, no trailing slash, lowercase)
+ * @param {string} url - Page URL
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+    const trimmed = String(url || '').trim().replace(/[?#].*$/, '').replace(/\/+$/, '');
+    return `/${trimmed.replace(/^\/+/, '')}`.toLowerCase();
+}
+
+/**
+ * Check that a URL is a root-relative docs path
+ * Hosts ("//host", "https://"), backslashes and "." / ".." segments are refused:
+ * redirects are sent as Location headers and exported as files below the output folder.
+ * @param {string} url - Page URL
+ * @returns {boolean} True if the URL is a local path
+ */
+function isLocalPath(url) {
+    const value = String(url).trim();
+    if (!/^\/(?!\/)[^\s\\]*$/.test(value)) {
+        return false;
+    }
+
+    let decoded;
+    try {
+        decoded = decodeURIComponent(value.replace(/[?#].*$/, ''));
+    } catch (error) {
+        return false;
+    }
+
+    return !/[\\\0]/.test(decoded) && decoded.split('/').every(segment => segment !== '.' && segment !== '..');
+}
+
+/**
+ * Find a redirect chain that leads back to one of its own URLs
+ * @param {Array<object>} redirects - [{from, to}] with normalized "from" URLs
+ * @returns {Array<string>|null} URLs of the loop (first URL repeated at the end), or null
+ */
+function findLoop(redirects) {
+    const targets = new Map(redirects.map(redirect => [redirect.from, normalizeUrl(redirect.to)]));
+
+    for (const start of targets.keys()) {
+        const chain = [start];
+        let current = start;
+
+        while (targets.has(current)) {
+            current = targets.get(current);
+            if (chain.includes(current)) {
+                return [...chain.slice(chain.indexOf(current)), current];
+            }
+            chain.push(current);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get all redirects
+ * @returns {Array<object>} [{from, to, createdAt}]
+ */
+function getRedirects() {
+    return configManager.readConfig('redirects').redirects || [];
+}
+
+/**
+ * Find the current URL of a page that was renamed or moved
+ * Chains (a → b → c) are followed to the final URL.
+ * @param {string} url - Requested page URL
+ * @returns {string|null} New URL, or null if there is no redirect
+ */
+function findRedirect(url) {
+    const redirects = new Map(getRedirects().map(redirect => [normalizeUrl(redirect.from), redirect.to]));
+
+    let current = normalizeUrl(url);
+    let target = null;
+
+    for (let hop = 0; hop < MAX_REDIRECT_HOPS && redirects.has(current); hop++) {
+        target = redirects.get(current);
+        current = normalizeUrl(target);
+    }
+
+    return target;
+}
+
+/**
+ * Validate and store the complete redirect list (settings)
+ * @param {Array<object>} redirects - [{from, to}]
+ * @returns {Array<object>} Stored redirects
+ * @throws {ValidationError} If an entry is incomplete, not a local path, or part of a loop
+ */
+function saveRedirects(redirects) {
+    if (!Array.isArray(redirects)) {
+        throw new ValidationError('Redirects must be a list');
+    }
+
+    const existing = new Map(getRedirects().map(redirect => [normalizeUrl(redirect.from), redirect]));
+
+    const cleaned = redirects.map(redirect => {
+        if (!redirect || !redirect.from || !redirect.to) {
+            throw new ValidationError('Every redirect needs a "from" and a "to" URL');
+        }
+        for (const url of [redirect.from, redirect.to]) {
+            if (!isLocalPath(url)) {
+                throw new ValidationError(`Redirect URLs must be docs paths starting with "/": ${url}`);
+            }
+        }
+        if (normalizeUrl(redirect.from) === normalizeUrl(redirect.to)) {
+            throw new ValidationError(`Redirect points to itself: ${redirect.from}`);
+        }
+
+        const previous = existing.get(normalizeUrl(redirect.from));
+        return {
+            from: normalizeUrl(redirect.from),
+            to: String(redirect.to).trim(),
+            createdAt: redirect.createdAt || (previous && previous.createdAt) || new Date().toISOString()
+        };
+    });
+
+    const loop = findLoop(cleaned);
+    if (loop) {
+        throw new ValidationError(`Redirect loop: ${loop.join(' → ')}`);
+    }
+
+    if (!configManager.writeConfig('redirects', { redirects: cleaned })) {
+        throw new Error('Failed to save redirects');
+    }
+
+    return cleaned;
+}
+
+/**
+ * Record the URL changes of a rename or move
+ * Existing redirects to an old URL are pointed at the new one, and redirects
+ * away from URLs that exist again are dropped.
+ * @param {Array<object>} changes - [{from, to}] old and new page URLs
+ * @returns {number} Number of recorded redirects
+ */
+function recordMoves(changes) {
+    const moves = changes.filter(change => normalizeUrl(change.from) !== normalizeUrl(change.to));
+    if (moves.length === 0) {
+        return 0;
+    }
+
+    const newUrls = new Set(moves.map(move => normalizeUrl(move.to)));
+    const targets = new Map(moves.map(move => [normalizeUrl(move.from), move.to]));
+
+    const redirects = getRedirects()
+        .filter(redirect => !newUrls.has(normalizeUrl(redirect.from)) && !targets.has(normalizeUrl(redirect.from)))
+        .map(redirect => {
+            const target = targets.get(normalizeUrl(redirect.to));
+            return target ? { ...redirect, to: target } : redirect;
+        })
+        .filter(redirect => normalizeUrl(redirect.from) !== normalizeUrl(redirect.to));
+
+    const createdAt = new Date().toISOString();
+    for (const move of moves) {
+        redirects.push({ from: normalizeUrl(move.from), to: move.to, createdAt });
+    }
+
+    saveRedirects(redirects);
+    console.log(`[RedirectService] Recorded ${moves.length} redirect(s)`);
+
+    return moves.length;
+}
+
+module.exports = {
+    getRedirects,
+    findRedirect,
+    saveRedirects,
+    recordMoves
+};
@@ -1,21 +1,53 @@
 /**
  * Search Service
  * Handles search indexing and querying using Fuse.js
+ *
+ * Pages are indexed per section: the rendered page is split at its headings, so results
+ * link to the heading (page#anchor) and carry its heading hierarchy.
+ * The index is saved to the data directory with the modification time and content hash
+ * of every page, so a restart only re-indexes pages that changed on disk.
  */
 
+const path = require('path');
+const { pathToFileURL } = require('url');
+const crypto = require('crypto');
 const Fuse = require('fuse.js');
 const fileService = require('./fileService');
+const openApiService = require('./openApiService');
 const config = require('../config');
+const fileAdapter = require('../data/fileSystemAdapter');
+const configManager = require('../utils/configManager');
+const { headingText } = require('../utils/headings');
+
+// Saved index (see saveIndex)
+const INDEX_FILE = path.join(config.paths.data, 'search-index.json');
+
+// Stored indexes of another format are rebuilt; bump when documents change shape
+const INDEX_FORMAT_VERSION = 4;
+
+// Delay before saving after single-page updates, so a batch of saves is written once
+const SAVE_DELAY_MS = 1000;
+
+// Match and snippet helpers, shared with the in-browser search of static sites (ES module)
+const SEARCH_MATCHES_PATH = path.join(__dirname, '..', '..', 'apps', 'docs', 'js', 'search-matches.js');
 
 // Search index and Fuse instance
 let searchIndex = [];
 let fuse = null;
 
+// Modification time, content hash and included snippets of the indexed pages by path
+// ("docs/01-Documentation/Setup.md"), and the fingerprint of the settings they were indexed with
+let fileStates = new Map();
+let indexFingerprint = null;
+let saveTimer = null;
+
 // Fuse.js configuration
 const fuseOptions = {
     keys: [
         { name: 'title', weight: 0.4 },
         { name: 'content', weight: 0.3 },
+        { name: 'description', weight: 0.2 },
+        { name: 'tags', weight: 0.2 },
         { name: 'category', weight: 0.2 },
         { name: 'path', weight: 0.1 }
     ],
@@ -26,46 +58,124 @@ const fuseOptions = {
 };
 
 /**
- * Extract plain text from markdown content
- * Removes markdown syntax for better searching
- * @param {string} markdown - Markdown content
+ * Convert rendered HTML to plain text
+ * Code blocks (with their language and copy button) are left out; block elements are separated by a space.
+ * @param {string} html - Rendered HTML
  * @returns {string} Plain text
  */
-function extractPlainText(markdown) {
-    if (!markdown) return '';
-
-    let text = markdown;
-
-    // Remove code blocks
-    text = text.replace(/```[\s\S]*?```/g, '');
-    text = text.replace(/`[^`]+`/g, '');
+function extractPlainText(html) {
+    return headingText(html
+        .replace(/<(pre|script|style|button)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<span class="code-language">[^<]*<\/span>/g, ' ')
+        .replace(/<\/?(p|div|li|ul|ol|dl|dt|dd|table|tr|td|th|blockquote|details|summary|br|hr)\b[^>]*>/gi, ' '));
+}
 
-    // Remove HTML tags
-    text = text.replace(/<[^>]+>/g, '');
+/**
+ * Split a rendered page into heading-delimited sections
+ * Text before the first heading and under the page's h1 is the page's own section, without anchor.
+ * @param {string} html - Rendered page HTML with heading IDs
+ * @param {string} title - Page title
+ * @returns {Array<object>} [{anchor, headings, text}] - headings from the page title down to the section
+ */
+function splitSections(html, title) {
+    const headingRegex = /<h([1-6])\b[^>]*\sid="([^"]*)"[^>]*>([\s\S]*?)<\/h\1>/g;
+    const sections = [];
+    const parents = [];
+    let root = title;
+    let current = { anchor: null, headings: [title], html: '' };
+    let position = 0;
+
+    for (const [index, match] of [...html.matchAll(headingRegex)].entries()) {
+        const level = Number(match[1]);
+        const text = headingText(match[3]);
+
+        current.html += html.slice(position, match.index);
+        position = match.index + match[0].length;
+
+        // The page's h1 opens no section of its own
+        if (level === 1 && index === 0) {
+            continue;
+        }
 
-    // Remove markdown links but keep the text
-    text = text.replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1');
+        while (parents.length > 0 && parents[parents.length - 1].level >= level) {
+            parents.pop();
+        }
+        if (level === 1) {
+            root = text;
+        } else {
+            parents.push({ level, text });
+        }
 
-    // Remove images
-    text = text.replace(/!\[([^\]]*)\]\([^\)]+\)/g, '');
+        sections.push(current);
+        current = {
+            anchor: match[2],
+            headings: [root, ...parents.map(parent => parent.text)],
+            html: ''
+        };
+    }
 
-    // Remove headers markers
-    text = text.replace(/^#{1,6}\s+/gm, '');
+    current.html += html.slice(position);
+    sections.push(current);
 
-    // Remove emphasis markers
-    text = text.replace(/[*_]{1,2}([^*_]+)[*_]{1,2}/g, '$1');
+    return sections.map(section => ({
+        anchor: section.anchor,
+        headings: section.headings,
+        text: extractPlainText(section.html)
+    }));
+}
 
-    // Remove horizontal rules
-    text = text.replace(/^(-{3,}|_{3,}|\*{3,})$/gm, '');
+/**
+ * Create the search documents of a page, one per section
+ * Honors frontmatter title, description and tags (searched with the page's own section).
+ * Paths of older versions start with their folder (e.g. "@v1.2/..."), translations with their language (e.g. "de/...").
+ * @param {string} productId - Product ID
+ * @param {string} relativePath - Path relative to the product directory
+ * @param {object} page - Rendered page from fileService.getRenderedContent
+ * @param {object} fileInfo - Optional tree info {name, urlSlug}
+ * @returns {Array<object>} Search documents, empty for hidden pages
+ */
+function createIndexDocuments(productId, relativePath, page, fileInfo = {}) {
+    const metadata = page.metadata || {};
 
-    // Remove list markers
-    text = text.replace(/^[\s]*[-*+]\s+/gm, '');
-    text = text.replace(/^[\s]*\d+\.\s+/gm, '');
+    if (metadata.hidden) {
+        return [];
+    }
 
-    // Normalize whitespace
-    text = text.replace(/\s+/g, ' ').trim();
+    const fileName = path.basename(relativePath);
+    const fullPath = path.join(productId, relativePath);
+    const pageUrl = fileService.getPageUrl(fullPath);
+
+    // Title: frontmatter, then first heading, then file name
+    const heading = (page.toc || []).find(entry => entry.level === 1);
+    const pageTitle = metadata.title || (heading ? heading.text : (fileInfo.name || fileName));
+
+    // Get category from path
+    const pathParts = relativePath.split('/');
+    const category = pathParts.length > 1 ? pathParts[pathParts.length - 2] : productId;
+
+    const pageFields = {
+        path: relativePath,
+        urlSlug: fileInfo.urlSlug || fileService.getPageSlug(fileName, metadata),
+        fileName: fileName,
+        fileType: fileName.endsWith('.mdx') ? 'mdx' : 'md',
+        category: category,
+        productId: productId,
+        version: fileService.getPageVersion(fullPath),
+        locale: fileService.getPageLocale(fullPath),
+        pageTitle: pageTitle,
+        pageUrl: pageUrl
+    };
 
-    return text;
+    return splitSections(page.content, pageTitle).map(section => ({
+        title: section.headings[section.headings.length - 1],
+        description: section.anchor ? '' : (metadata.description || ''),
+        tags: section.anchor ? [] : (metadata.tags || []),
+        content: section.text,
+        ...pageFields,
+        anchor: section.anchor,
+        headings: section.headings,
+        url: section.anchor ? `${pageUrl}#${section.anchor}` : pageUrl
+    }));
 }
 
 /**
@@ -79,6 +189,9 @@ function collectFilesFromTree(tree, productId, basePath = '') {
     const files = [];
 
     for (const item of tree) {
+        // Untranslated pages are indexed in their own language only
+        if (item.fallback) continue;
+
         if (item.type === 'file') {
             files.push({
                 path: item.path,
@@ -97,47 +210,207 @@ function collectFilesFromTree(tree, productId, basePath = '') {
     return files;
 }
 
+/**
+ * Hash page content
+ * @param {string} content - Raw page content
+ * @returns {string} SHA-1 hex digest
+ */
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Get the index path of a search document
+ * @param {object} doc - Search document
+ * @returns {string} Path relative to the content directory
+ */
+function getDocumentKey(doc) {
+    return `${doc.productId}/${doc.path}`;
+}
+
+/**
+ * Fingerprint the settings every page is indexed with: product config (variables, versions,
+ * languages). A stored index with another fingerprint is rebuilt completely.
+ * Snippets are tracked per page instead (see getSnippetStates).
+ * @returns {string} Fingerprint
+ */
+function getIndexFingerprint() {
+    return hashContent(JSON.stringify([INDEX_FORMAT_VERSION, configManager.readConfig('docs')]));
+}
+
+/**
+ * Get the modification times of the snippets a page includes
+ * @param {Array<string>} snippetPaths - Snippet paths relative to the content directory
+ * @returns {object} Modification time by snippet path, null for missing snippets
+ */
+function getSnippetStates(snippetPaths) {
+    return Object.fromEntries(snippetPaths.map(snippetPath => {
+        const absolutePath = path.join(config.paths.content, snippetPath);
+        return [snippetPath, fileAdapter.exists(absolutePath) ? fileAdapter.statSync(absolutePath).mtimeMs : null];
+    }));
+}
+
+/**
+ * Get the indexed pages with their documents
+ * @returns {Map<string, object>} {mtimeMs, hash, tree, snippets, documents} by page path
+ */
+function getIndexedFiles() {
+    const files = new Map();
+
+    for (const doc of searchIndex) {
+        const key = getDocumentKey(doc);
+        const state = fileStates.get(key);
+        if (!state) continue;
+
+        if (!files.has(key)) {
+            files.set(key, { ...state, documents: [] });
+        }
+        files.get(key).documents.push(doc);
+    }
+
+    return files;
+}
+
+/**
+ * Read the saved index
+ * Missing, corrupted and outdated files give an empty index (everything is re-indexed).
+ * @param {string} fingerprint - Current settings fingerprint
+ * @returns {Map<string, object>} {mtimeMs, hash, tree, snippets, documents} by page path
+ */
+function loadStoredIndex(fingerprint) {
+    if (!fileAdapter.exists(INDEX_FILE)) {
+        return new Map();
+    }
+
+    try {
+        const stored = JSON.parse(fileAdapter.readFileSync(INDEX_FILE));
+        const files = stored && stored.files;
+
+        if (!files || typeof files !== 'object' || stored.checksum !== hashContent(JSON.stringify(files))) {
+            throw new Error('checksum mismatch');
+        }
+        if (stored.version !== INDEX_FORMAT_VERSION || stored.fingerprint !== fingerprint) {
+            console.log('[SearchService] Settings changed since the index was saved, re-indexing all pages');
+            return new Map();
+        }
+
+        return new Map(Object.entries(files));
+    } catch (error) {
+        console.warn(`[SearchService] ⚠ Saved search index is corrupted (${error.message}), rebuilding`);
+        return new Map();
+    }
+}
+
+/**
+ * Save the index to the data directory
+ * Written to a temporary file first, so a crash never leaves a half-written index.
+ * @returns {Promise<void>}
+ */
+async function saveIndex() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    const files = Object.fromEntries(getIndexedFiles());
+    const data = {
+        version: INDEX_FORMAT_VERSION,
+        fingerprint: indexFingerprint,
+        checksum: hashContent(JSON.stringify(files)),
+        files
+    };
+
+    try {
+        await fileAdapter.mkdir(config.paths.data);
+        await fileAdapter.writeFile(`${INDEX_FILE}.tmp`, JSON.stringify(data));
+        await fileAdapter.rename(`${INDEX_FILE}.tmp`, INDEX_FILE);
+    } catch (error) {
+        console.error('[SearchService] Failed to save search index:', error.message);
+    }
+}
+
+/**
+ * Save the index after SAVE_DELAY_MS without further updates
+ */
+function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => saveIndex(), SAVE_DELAY_MS);
+}
+
+/**
+ * Index a page, reusing its previous documents if neither the page, the snippets it includes
+ * nor its place in the tree changed
+ * Unchanged modification time: reused without reading the page. Changed time but the same
+ * content (e.g. after a checkout): reused after hashing. Reused pages register their snippets
+ * with the file service, so snippet edits still re-index them after a restart.
+ * @param {string} productId - Product ID
+ * @param {string} relativePath - Path relative to the product directory
+ * @param {object} fileInfo - Optional tree info {name, urlSlug}
+ * @param {object} previous - Optional {mtimeMs, hash, tree, snippets, documents} the page was indexed with
+ * @param {Map<string, object>} states - Page states the page's state is recorded in
+ * @returns {Promise<Array<object>>} Search documents (one per section), empty for hidden pages
+ */
+async function indexFile(productId, relativePath, fileInfo = {}, previous = null, states = fileStates) {
+    // getRawContent expects path relative to content directory
+    const fullPath = `${productId}/${relativePath}`;
+    const { mtimeMs } = fileAdapter.statSync(fileService.getPageSourcePath(fullPath));
+    const tree = JSON.stringify([fileInfo.name || null, fileInfo.urlSlug || null]);
+    const reusable = previous && previous.tree === tree && previous.snippets &&
+        JSON.stringify(getSnippetStates(Object.keys(previous.snippets))) === JSON.stringify(previous.snippets)
+        ? previous
+        : null;
+
+    if (reusable && reusable.mtimeMs === mtimeMs) {
+        states.set(fullPath, { mtimeMs, hash: reusable.hash, tree, snippets: reusable.snippets });
+        fileService.setPageSnippets(fullPath, Object.keys(reusable.snippets));
+        return reusable.documents;
+    }
+
+    const rawContent = await fileService.getRawContent(fullPath);
+    const hash = hashContent(rawContent);
+
+    if (reusable && reusable.hash === hash) {
+        states.set(fullPath, { mtimeMs, hash, tree, snippets: reusable.snippets });
+        fileService.setPageSnippets(fullPath, Object.keys(reusable.snippets));
+        return reusable.documents;
+    }
+
+    const page = await fileService.getRenderedContent(fullPath);
+    states.set(fullPath, { mtimeMs, hash, tree, snippets: getSnippetStates(fileService.getPageSnippets(fullPath)) });
+    return createIndexDocuments(productId, relativePath, page, fileInfo);
+}
+
 /**
  * Build search index for a specific product
  * @param {string} productId - Product ID to index
- * @returns {Promise<number>} Number of documents indexed
+ * @param {Map<string, object>} previous - Previously indexed pages to reuse if unchanged (see getIndexedFiles)
+ * @param {Map<string, object>} states - Page states the indexed pages are recorded in
+ * @returns {Promise<Array<object>>} Search documents
  */
-async function buildProductIndex(productId) {
+async function buildProductIndex(productId, previous = new Map(), states = fileStates) {
     try {
         console.log(`[SearchService] Building index for product: ${productId}`);
 
-        const productTree = fileService.getProductTree(productId);
-        const files = collectFilesFromTree(productTree.tree, productId);
+        // Every version and language of the product is indexed; search filters by both
+        const { versions } = fileService.getProductVersions(productId);
+        const { locales } = fileService.getProductLocales(productId);
+        const treeLocales = locales.length > 0 ? locales : [null];
+
+        const files = versions.flatMap(version => treeLocales.flatMap(locale =>
+            collectFilesFromTree(fileService.getProductTree(productId, version.id, locale).tree, productId)
+        ));
 
         const indexedDocs = [];
         const errors = [];
+        let reused = 0;
 
         for (const file of files) {
             try {
-                // getRawContent expects path relative to content directory
-                const path = require('path'); // Falls path oben noch nicht importiert ist
-                const fullPath = path.join(productId, file.path);
-                const rawContent = await fileService.getRawContent(fullPath);
-                const plainText = extractPlainText(rawContent);
-
-                // Extract title from first heading or use file name
-                const titleMatch = rawContent.match(/^#\s+(.+)$/m);
-                const title = titleMatch ? titleMatch[1] : file.name;
-
-                // Get category from path
-                const pathParts = file.path.split('/');
-                const category = pathParts.length > 1 ? pathParts[pathParts.length - 2] : productId;
-
-                indexedDocs.push({
-                    title: title,
-                    content: plainText.substring(0, 500), // Limit content length
-                    path: file.path,
-                    urlSlug: file.urlSlug,
-                    fileName: file.fileName,
-                    fileType: file.fileType,
-                    category: category,
-                    productId: productId
-                });
+                const stored = previous.get(`${productId}/${file.path}`) || null;
+                const docs = await indexFile(productId, file.path, file, stored, states);
+
+                if (stored && docs === stored.documents) {
+                    reused++;
+                }
+                indexedDocs.push(...docs);
             } catch (error) {
                 // Collect errors silently instead of logging each one
                 errors.push(file.path);
@@ -146,7 +419,10 @@ async function buildProductIndex(productId) {
 
         // Log summary instead of individual errors
         if (errors.length > 0) {
-            console.log(`[SearchService] ⚠ Skipped ${errors.length} missing file(s) in product: ${productId}`);
+            console.log(`[SearchService] ⚠ Skipped ${errors.length} missing or failing file(s) in product: ${productId}`);
+        }
+        if (reused > 0) {
+            console.log(`[SearchService] Reused ${reused} unchanged page(s) in product: ${productId}`);
         }
 
         return indexedDocs;
@@ -165,26 +441,28 @@ async function buildIndex() {
     try {
         console.log('[SearchService] Starting full index build...');
 
+        // Unchanged pages are taken from the index in memory, or from the saved index after a restart
+        const fingerprint = getIndexFingerprint();
+        const previous = fingerprint === indexFingerprint ? getIndexedFiles() : loadStoredIndex(fingerprint);
+
         searchIndex = [];
+        fileStates = new Map();
+        indexFingerprint = fingerprint;
 
         // Get all products from content directory
-        const contentPath = config.paths.content;
-        const fileAdapter = require('../data/fileSystemAdapter');
-        const products = fileAdapter.readdirSync(contentPath, { withFileTypes: true })
-            .filter(dirent => dirent.isDirectory())
-            .filter(dirent => !dirent.name.startsWith('.'))
-            .map(dirent => dirent.name);
+        const products = fileService.getProductIds();
 
         console.log(`[SearchService] Found ${products.length} product(s) to index`);
 
         // Index each product
         for (const productId of products) {
-            const docs = await buildProductIndex(productId);
+            const docs = await buildProductIndex(productId, previous);
             searchIndex.push(...docs);
         }
 
         // Initialize Fuse with the index
         fuse = new Fuse(searchIndex, fuseOptions);
+        await saveIndex();
 
         if (searchIndex.length === 0) {
             console.log(`[SearchService] ⚠ Index build complete: No documents indexed (empty content directory)`);
@@ -200,13 +478,44 @@ async function buildIndex() {
     }
 }
 
+/**
+ * Get the indexed version ID a search is limited to for a product
+ * @param {string} productId - Product ID
+ * @param {string} version - Requested version (e.g. "v1.2", "@v1.2" or "latest"), empty for latest
+ * @returns {string|null} Version ID, or null if the product has no such version
+ */
+function resolveVersionFilter(productId, version) {
+    try {
+        const folder = fileService.resolveVersionFolder(productId, version);
+        return folder ? fileService.getPageVersion(path.join(productId, folder)) : 'latest';
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the indexed language a search is limited to for a product
+ * @param {string} productId - Product ID
+ * @param {string} lang - Requested language code, empty for the default language
+ * @returns {string|null} Language code (the default one for unknown languages), or null if the product has no languages
+ */
+function resolveLocaleFilter(productId, lang) {
+    const { defaultLocale, locales } = fileService.getProductLocales(productId);
+    const wanted = String(lang || '').toLowerCase();
+    return locales.includes(wanted) ? wanted : defaultLocale;
+}
+
 /**
  * Search documents
+ * Results are page sections: title is the section heading, headings its breadcrumb
+ * (e.g. ["Configuration", "Ports"]) and url links to its anchor.
+ * Instead of the section text, results carry the match ranges of every field and a snippet
+ * around the best match of the text.
  * @param {string} query - Search query
- * @param {object} options - Search options
- * @returns {Array} Search results
+ * @param {object} options - Search options {product, version, lang, limit}
+ * @returns {Promise<Array>} Search results
  */
-function search(query, options = {}) {
+async function search(query, options = {}) {
     if (!query || query.trim().length === 0) {
         return [];
     }
@@ -226,51 +535,96 @@ function search(query, options = {}) {
         results = results.filter(r => r.item.productId === productFilter);
     }
 
+    // Only one version (latest unless requested) and language (default unless requested) per product
+    const filters = new Map();
+    results = results.filter(r => {
+        const { productId } = r.item;
+        if (!filters.has(productId)) {
+            filters.set(productId, {
+                version: resolveVersionFilter(productId, options.version),
+                locale: resolveLocaleFilter(productId, options.lang)
+            });
+        }
+        const filter = filters.get(productId);
+        return r.item.version === filter.version && r.item.locale === filter.locale;
+    });
+
     // Limit and format results
-    return results.slice(0, limit).map(r => ({
-        score: r.score,
-        title: r.item.title,
-        content: r.item.content,
-        path: r.item.path,
-        urlSlug: r.item.urlSlug,
-        fileName: r.item.fileName,
-        fileType: r.item.fileType,
-        category: r.item.category,
-        productId: r.item.productId
-    }));
+    const { getMatchRanges, buildSnippet } = await import(pathToFileURL(SEARCH_MATCHES_PATH).href);
+
+    return results.slice(0, limit).map(r => {
+        const matches = getMatchRanges(r.item, query, fuseOptions);
+
+        return {
+            score: r.score,
+            title: r.item.title,
+            description: r.item.description,
+            tags: r.item.tags,
+            path: r.item.path,
+            urlSlug: r.item.urlSlug,
+            fileName: r.item.fileName,
+            fileType: r.item.fileType,
+            category: r.item.category,
+            productId: r.item.productId,
+            version: r.item.version,
+            locale: r.item.locale,
+            pageTitle: r.item.pageTitle,
+            pageUrl: r.item.pageUrl,
+            anchor: r.item.anchor,
+            headings: r.item.headings,
+            url: r.item.url,
+            matches: matches,
+            snippet: buildSnippet(r.item.content, matches.content)
+        };
+    });
+}
+
+/**
+ * Create the search documents of a page file
+ * @param {string} filePath - Page path relative to the content directory
+ * @returns {Promise<Array<object>>} Search documents, empty for hidden pages
+ */
+async function createFileDocuments(filePath) {
+    const [productId, ...pathParts] = filePath.split('/');
+    return indexFile(productId, pathParts.join('/'));
 }
 
 /**
  * Rebuild index for a specific file (after edit)
- * @param {string} filePath - File path that was updated
+ * OpenAPI specs re-index all pages generated from them.
+ * @param {string} filePath - File path that was updated (relative to content directory)
  */
 async function updateFileInIndex(filePath) {
     try {
-        // Remove old entry
-        searchIndex = searchIndex.filter(doc => doc.path !== filePath);
+        const pathParts = filePath.split('/');
+        const productId = pathParts[0];
+        const relativePath = pathParts.slice(1).join('/');
 
-        // Add new entry
-        try {
-            const rawContent = await fileService.getRawContent(filePath);
-            const plainText = extractPlainText(rawContent);
-
-            const titleMatch = rawContent.match(/^#\s+(.+)$/m);
-            const title = titleMatch ? titleMatch[1] : filePath.split('/').pop();
+        // Snippets are indexed as part of the pages including them
+        if (path.join(config.paths.content, productId) === config.paths.snippets) {
+            return;
+        }
 
-            const pathParts = filePath.split('/');
-            const productId = pathParts[0];
-            const category = pathParts.length > 1 ? pathParts[pathParts.length - 2] : productId;
+        if (openApiService.isSpecFile(filePath)) {
+            searchIndex = searchIndex.filter(doc => !(doc.productId === productId && doc.path.startsWith(`${relativePath}/`)));
 
-            searchIndex.push({
-                title: title,
-                content: plainText.substring(0, 500),
-                path: filePath,
-                category: category,
-                productId: productId
-            });
+            const pages = openApiService.getSpecPages(filePath);
+            for (const pagePath of pages) {
+                searchIndex.push(...await createFileDocuments(pagePath));
+            }
 
-            // Rebuild Fuse index
             fuse = new Fuse(searchIndex, fuseOptions);
+            scheduleSave();
+            console.log(`[SearchService] Updated ${pages.length} generated page(s) in index: ${filePath}`);
+            return;
+        }
+
+        // Remove old entries (one per section)
+        searchIndex = searchIndex.filter(doc => !(doc.productId === productId && doc.path === relativePath));
+
+        // Add new entry
+        try {
+            searchIndex.push(...await createFileDocuments(filePath));
 
             console.log(`[SearchService] Updated file in index: ${filePath}`);
         } catch (fileError) {
@@ -278,11 +632,33 @@ async function updateFileInIndex(filePath) {
             console.log(`[SearchService] File no longer exists or is inaccessible: ${filePath}`);
         }
 
+        // Rebuild Fuse index
+        fuse = new Fuse(searchIndex, fuseOptions);
+        scheduleSave();
+
     } catch (error) {
         console.error(`Error updating file in index ${filePath}:`, error);
     }
 }
 
+/**
+ * Rebuild the index of one product (after pages were added, removed or reordered on disk)
+ * @param {string} productId - Product ID (products that no longer exist are removed)
+ * @returns {Promise<number>} Number of documents indexed for the product
+ */
+async function updateProductInIndex(productId) {
+    const docs = fileService.getProductIds().includes(productId)
+        ? await buildProductIndex(productId, getIndexedFiles())
+        : [];
+
+    searchIndex = searchIndex.filter(doc => doc.productId !== productId).concat(docs);
+    fuse = new Fuse(searchIndex, fuseOptions);
+    scheduleSave();
+
+    console.log(`[SearchService] Updated product in index: ${productId} (${docs.length} document(s))`);
+    return docs.length;
+}
+
 /**
  * Get index statistics
  * @returns {object} Index stats
@@ -295,10 +671,62 @@ function getStats() {
     };
 }
 
+/**
+ * Get an index for searching without the server (static export)
+ * Filters map each product's version names and language codes to the indexed values,
+ * mirroring the version and language filters of search().
+ * @param {Array<object>} documents - Search documents
+ * @returns {object} {options, documents, filters: {[productId]: {versions, defaultLocale, locales}}}
+ */
+function getIndexData(documents) {
+    const filters = {};
+
+    for (const productId of new Set(documents.map(doc => doc.productId))) {
+        const versions = { '': 'latest' };
+        for (const version of fileService.getProductVersions(productId).versions) {
+            // The latest version is also addressed by its label (the product's current version)
+            for (const name of [version.id, version.urlSegment, version.isLatest && version.label]) {
+                if (!name) continue;
+                const key = name.replace(/^@/, '').toLowerCase();
+                versions[key] = resolveVersionFilter(productId, key);
+            }
+        }
+
+        const { defaultLocale, locales } = fileService.getProductLocales(productId);
+        filters[productId] = { versions, defaultLocale, locales };
+    }
+
+    return {
+        options: fuseOptions,
+        documents,
+        filters
+    };
+}
+
+/**
+ * Index the current content for searching without the server (static export)
+ * Built in memory: the server's index and the saved index file are left as they are.
+ * Unchanged pages are taken from them instead of being rendered again.
+ * @returns {Promise<object>} Index data (see getIndexData)
+ */
+async function buildIndexData() {
+    const fingerprint = getIndexFingerprint();
+    const previous = fingerprint === indexFingerprint ? getIndexedFiles() : loadStoredIndex(fingerprint);
+    const documents = [];
+
+    for (const productId of fileService.getProductIds()) {
+        documents.push(...await buildProductIndex(productId, previous, new Map()));
+    }
+
+    return getIndexData(documents);
+}
+
 module.exports = {
     buildIndex,
     buildProductIndex,
     search,
     updateFileInIndex,
-    getStats
+    updateProductInIndex,
+    getStats,
+    buildIndexData
 };
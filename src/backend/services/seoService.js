@@ -0,0 +1,125 @@
+/**
+ * SEO Service
+ * Titles, descriptions and canonical URLs of docs pages for crawlers and link previews
+ */
+
+const path = require('path');
+const fileService = require('./fileService');
+
+// Longest generated description (search engines cut off around this length)
+const DESCRIPTION_LENGTH = 160;
+
+/**
+ * Turn a page file name into a title (e.g. "01-Quick_Start.md" -> "Quick Start")
+ * @param {string} fileName - File name
+ * @returns {string} Title
+ */
+function formatFileTitle(fileName) {
+    return path.basename(String(fileName || ''), path.extname(String(fileName || '')))
+        .replace(/^\d+-/, '')
+        .replace(/[-_]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Get a description from the first prose paragraph of rendered HTML
+ * Paragraphs of leftover container syntax (e.g. an unsupported ":::info" block) are skipped.
+ * @param {string} html - Rendered page
+ * @returns {string} Plain text, shortened at a word boundary
+ */
+function getExcerpt(html) {
+    const text = [...String(html || '').matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+        .map(paragraph => paragraph[1]
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&quot;/g, '"')
+            .replace(/&#0?39;/g, "'")
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim())
+        .find(paragraph => paragraph && !paragraph.startsWith(':::'));
+
+    if (!text) {
+        return '';
+    }
+    if (text.length <= DESCRIPTION_LENGTH) {
+        return text;
+    }
+    const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Get the canonical URL path of a requested page
+ * Untranslated pages point to their default language URL.
+ * @param {string} productId - Product ID
+ * @param {string} urlPath - Requested URL path after the product
+ * @param {object} page - Page from fileService.getFileByUrlPath
+ * @returns {string} URL path (e.g. "/docs/documentation/setup")
+ */
+function getCanonicalPath(productId, urlPath, page) {
+    const segments = urlPath.split('/').filter(Boolean).map(segment => segment.toLowerCase());
+    if (segments[segments.length - 1] === 'index') {
+        segments.pop();
+    }
+
+    if (page.fallback && page.requestedLocale) {
+        const localeIndex = segments.indexOf(page.requestedLocale);
+        if (localeIndex !== -1) {
+            segments.splice(localeIndex, 1);
+        }
+    }
+
+    return `/${[productId, ...segments].join('/')}`;
+}
+
+/**
+ * Describe a rendered page
+ * @param {object} page - Page from fileService.getFileByUrlPath
+ * @param {object} options - {url: absolute canonical URL}
+ * @returns {object} {title, description, url, type, locale}
+ */
+function describePage(page, options = {}) {
+    const metadata = page.metadata || {};
+    const heading = (page.toc || []).find(entry => entry.level === 1);
+
+    return {
+        title: metadata.title || (heading && heading.text) || formatFileTitle(page.fileName),
+        description: metadata.description || getExcerpt(page.content),
+        url: options.url || null,
+        type: metadata.generated ? 'website' : 'article',
+        locale: page.locale || null
+    };
+}
+
+/**
+ * Get the metadata of a docs page URL
+ * @param {string} productId - Product ID
+ * @param {string} urlPath - URL path after the product
+ * @param {string} siteUrl - Public site URL (e.g. "https://docs.example.com")
+ * @returns {Promise<object|null>} {title, description, url, type, locale}, or null if the URL is not a page
+ */
+async function getPageMeta(productId, urlPath, siteUrl) {
+    if (!urlPath) {
+        return null;
+    }
+
+    let page;
+    try {
+        page = await fileService.getFileByUrlPath(productId, urlPath);
+    } catch (error) {
+        return null;
+    }
+
+    const baseUrl = String(siteUrl || '').replace(/\/+$/, '');
+    return describePage(page, { url: baseUrl + getCanonicalPath(productId, urlPath, page) });
+}
+
+module.exports = {
+    formatFileTitle,
+    getCanonicalPath,
+    describePage,
+    getPageMeta
+};
@@ -0,0 +1,91 @@
+/**
+ * Sitemap Service
+ * Lists the public page URLs of all products for crawlers (sitemap.xml and robots.txt)
+ *
+ * Only the latest version is listed; untranslated pages of other languages are left
+ * out because they repeat the default language content.
+ */
+
+const fileAdapter = require('../data/fileSystemAdapter');
+const fileService = require('./fileService');
+const { escapeXml } = require('../utils/escape');
+
+/**
+ * Get the pages listed in the sitemap
+ * @returns {Array<object>} [{url, lastModified}] (lastModified is null for category landing pages,
+ *                          the spec's for pages generated from an OpenAPI spec)
+ */
+function getSitemapEntries() {
+    const entries = [];
+
+    for (const productId of fileService.getProductIds()) {
+        const { locales } = fileService.getProductLocales(productId);
+
+        for (const locale of locales.length > 0 ? locales : [null]) {
+            for (const page of fileService.getTreePages(productId, null, locale)) {
+                if (page.fallback) continue;
+
+                const lastModified = page.type === 'file'
+                    ? fileAdapter.statSync(fileService.getPageSourcePath(page.path)).mtime
+                    : null;
+                entries.push({ url: page.url, lastModified });
+            }
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Build the sitemap XML
+ * @param {string} siteUrl - Public site URL the page URLs are appended to (e.g. "https://docs.example.com")
+ * @returns {string} Sitemap XML
+ */
+function getSitemapXml(siteUrl) {
+    const baseUrl = String(siteUrl || '').replace(/\/+$/, '');
+
+    const urls = getSitemapEntries().map(entry => {
+        const lastmod = entry.lastModified
+            ? `\n    <lastmod>${entry.lastModified.toISOString().slice(0, 10)}</lastmod>`
+            : '';
+        return `  <url>\n    <loc>${escapeXml(baseUrl + entry.url)}</loc>${lastmod}\n  </url>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Build robots.txt
+ * Crawlers may read all pages and their images, but not the API, the settings or the editor.
+ * @param {string} siteUrl - Public site URL, the sitemap is only referenced with one
+ * @returns {string} robots.txt content
+ */
+function getRobotsTxt(siteUrl) {
+    const baseUrl = String(siteUrl || '').replace(/\/+$/, '');
+
+    const lines = [
+        'User-agent: *',
+        'Allow: /api/docs/*/assets/',
+        'Disallow: /api/',
+        'Disallow: /settings',
+        'Disallow: /editor',
+        'Allow: /'
+    ];
+    if (baseUrl) {
+        lines.push('', `Sitemap: ${baseUrl}/sitemap.xml`);
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    getSitemapEntries,
+    getSitemapXml,
+    getRobotsTxt
+};
@@ -0,0 +1,413 @@
+/**
+ * Static Export Service
+ * Writes all products as a static site that any static host can serve
+ *
+ * Output layout:
+ *   docs/, components/, images/, ...        docs app, shared components and public files
+ *                                           (docs/ is shared with the pages of a "docs" product)
+ *   <product>/<page>/index.html             pre-rendered page in the docs app shell
+ *   <product>/<page>.md                     cleaned Markdown of the page
+ *   api/docs/<product>/.../index*.json      API responses the docs app reads (see getStaticApiPath)
+ *   api/docs/<product>/assets/...           page images and downloads
+ *   api/search/index.json                   search index, searched in the browser
+ *   sitemap.xml, robots.txt                 sitemap only with a site URL
+ *   llms.txt, <product>/llms-full.txt       Markdown index and full text for AI tools
+ *   api/docs/<product>/changelog.rss|atom   changelog feeds, only with a site URL
+ *   <old page URL>/index.html               redirect stubs of renamed or moved pages
+ *   .docs-export                            marks the folder as an export that may be replaced
+ *
+ * Exported pages carry <meta name="docs-static" content="true">, which makes
+ * /docs/js/static-mode.js answer the app's /api requests from these files.
+ */
+
+const path = require('path');
+const config = require('../config');
+const fileAdapter = require('../data/fileSystemAdapter');
+const fileService = require('./fileService');
+const searchService = require('./searchService');
+const sitemapService = require('./sitemapService');
+const redirectService = require('./redirectService');
+const translationService = require('./translationService');
+const seoService = require('./seoService');
+const llmsService = require('./llmsService');
+const changelogService = require('./changelogService');
+const { formatPageResponse } = require('../utils/pageResponse');
+const { renderPageShell } = require('../utils/pageShell');
+const { escapeHtml } = require('../utils/escape');
+const { ValidationError, ResourceNotFoundError } = require('../utils/customErrors');
+
+const SRC_DIR = path.join(__dirname, '..', '..');
+const PROJECT_DIR = path.join(SRC_DIR, '..');
+
+// Docs app files, served below /docs like on the server
+const DOCS_APP_DIR = path.join(SRC_DIR, 'apps', 'docs');
+const DOCS_APP_URL = '/docs';
+
+// Docs app shell every exported page is written into
+const DOCS_TEMPLATE_PATH = path.join(DOCS_APP_DIR, 'index.html');
+
+// Product the site root opens, like the docs app does for "/"
+const ENTRY_PRODUCT = 'docs';
+
+// Folders served as they are: [source, target inside the output folder]
+const STATIC_FOLDERS = [
+    [DOCS_APP_DIR, 'docs'],
+    [path.join(SRC_DIR, 'components'), 'components'],
+    [path.join(PROJECT_DIR, 'public'), '']
+];
+
+// Server-only files that must never be published (accounts, revoked tokens)
+const PRIVATE_FILES = ['users.json', 'token-blacklist.json']
+    .map(name => path.join(config.paths.config, name));
+
+// Browser build of Fuse.js for searching the exported index
+const FUSE_BROWSER_PATH = path.join(path.dirname(require.resolve('fuse.js')), 'fuse.min.js');
+
+// Written into every export; only folders with it (or empty ones) are replaced without --force
+const EXPORT_MARKER_FILE = '.docs-export';
+
+// Marker that switches the docs app to static mode
+const STATIC_META = '<meta name="docs-static" content="true">';
+
+/**
+ * Get the file a static API response is stored in
+ * Keep in sync with getStaticApiPath in src/apps/docs/js/static-mode.js.
+ * @param {string} pathname - API URL path (e.g. "/api/docs/docs/tree")
+ * @param {object} params - Query parameters (e.g. {version: 'v1.2', lang: 'de'}), empty values are ignored
+ * @returns {string} File path (e.g. "/api/docs/docs/tree/index.lang-de.version-v1.2.json")
+ */
+function getStaticApiPath(pathname, params = {}) {
+    const suffix = Object.keys(params)
+        .filter(key => params[key])
+        .sort()
+        .map(key => `.${key}-${encodeURIComponent(String(params[key]).toLowerCase())}`)
+        .join('');
+    return `${pathname.replace(/\/+$/, '')}/index${suffix}.json`;
+}
+
+/**
+ * Write a page into the docs app shell, marked as static
+ * @param {string} template - Docs app index.html
+ * @param {object} page - Page metadata and content (see renderPageShell)
+ * @returns {string} HTML
+ */
+function renderPageHtml(template, page = {}) {
+    // Before any script, so static-mode.js sees it when it runs
+    return renderPageShell(template, page).replace(/<head>/, `<head>\n    ${STATIC_META}`);
+}
+
+/**
+ * Render the stub page of a redirect
+ * @param {string} url - Target URL
+ * @returns {string} HTML
+ */
+function renderRedirectHtml(url) {
+    const target = escapeHtml(url);
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '    <meta charset="UTF-8">',
+        `    <meta http-equiv="refresh" content="0; url=${target}">`,
+        `    <link rel="canonical" href="${target}">`,
+        '    <title>Redirecting…</title>',
+        '</head>',
+        '<body>',
+        `    <p>This page has moved to <a href="${target}">${target}</a>.</p>`,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Create an export writer for an output folder
+ * @param {string} outDir - Absolute output folder
+ * @returns {object} {writeFile, writeJson, copyFile, has}
+ */
+function createWriter(outDir) {
+    const written = new Set();
+
+    const writeFile = async (relativePath, content) => {
+        const target = path.join(outDir, relativePath);
+        await fileAdapter.mkdir(path.dirname(target));
+        await fileAdapter.writeFile(target, content);
+        written.add(path.normalize(relativePath).replace(/^[\\/]+/, ''));
+    };
+
+    return {
+        writeFile,
+        writeJson: (relativePath, data) => writeFile(relativePath, JSON.stringify(data)),
+        copyFile: async (source, relativePath) => {
+            const target = path.join(outDir, relativePath);
+            await fileAdapter.mkdir(path.dirname(target));
+            await fileAdapter.copyFile(source, target);
+        },
+        has: (relativePath) => written.has(path.normalize(relativePath).replace(/^[\\/]+/, ''))
+    };
+}
+
+/**
+ * Copy the images and downloads of a product
+ * @param {object} writer - Export writer
+ * @param {string} productId - Product ID
+ * @returns {Promise<number>} Number of copied assets
+ */
+async function exportAssets(writer, productId) {
+    let count = 0;
+
+    const visit = async (relativePath) => {
+        const absolutePath = fileService.resolveSafePath(path.join(productId, relativePath));
+
+        for (const entry of fileAdapter.readdirSync(absolutePath, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+
+            const entryPath = path.posix.join(relativePath, entry.name);
+            if (entry.isDirectory()) {
+                await visit(entryPath);
+                continue;
+            }
+
+            let assetPath;
+            try {
+                assetPath = fileService.getAssetPath(productId, entryPath);
+            } catch (error) {
+                continue; // Pages and other files are not assets
+            }
+            await writer.copyFile(assetPath, `api/docs/${productId}/assets/${entryPath}`);
+            count++;
+        }
+    };
+
+    await visit('');
+    return count;
+}
+
+/**
+ * Write the cleaned Markdown of a page next to its HTML
+ * Category landing pages without index file have no source and are skipped.
+ * @param {object} writer - Export writer
+ * @param {string} productId - Product ID
+ * @param {string} urlPath - URL path after the product
+ * @param {string} url - Page URL
+ * @param {string} siteUrl - Public site URL for links (optional)
+ * @returns {Promise<void>}
+ */
+async function exportPageMarkdown(writer, productId, urlPath, url, siteUrl) {
+    try {
+        await writer.writeFile(`${url}.md`, await llmsService.getPageMarkdown(productId, urlPath, siteUrl));
+    } catch (error) {
+        if (!(error instanceof ResourceNotFoundError)) throw error;
+    }
+}
+
+/**
+ * Write the RSS and Atom feeds of a product's changelog
+ * Products without changelog folder are skipped.
+ * @param {object} writer - Export writer
+ * @param {string} productId - Product ID
+ * @param {string} siteUrl - Public site URL for the entry links
+ * @returns {Promise<void>}
+ */
+async function exportChangelogFeeds(writer, productId, siteUrl) {
+    try {
+        for (const format of ['rss', 'atom']) {
+            await writer.writeFile(`api/docs/${productId}/changelog.${format}`, await changelogService.getChangelogFeed(productId, format, siteUrl));
+        }
+    } catch (error) {
+        if (!(error instanceof ResourceNotFoundError)) throw error;
+    }
+}
+
+/**
+ * Check whether a page URL is taken by the docs app files (e.g. "/docs/js" of a "docs" product)
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+function isDocsAppUrl(url) {
+    if (!url.startsWith(`${DOCS_APP_URL}/`)) {
+        return false;
+    }
+
+    const appPath = url.slice(DOCS_APP_URL.length + 1).split('/')[0];
+    return fileAdapter.exists(path.join(DOCS_APP_DIR, appPath));
+}
+
+/**
+ * Export the API responses and pre-rendered pages of a product
+ * @param {object} writer - Export writer
+ * @param {string} template - Docs app index.html
+ * @param {string} productId - Product ID
+ * @param {string} siteUrl - Public site URL for canonical URLs (optional)
+ * @returns {Promise<object>} {pages, failed: [{url, error}]}
+ */
+async function exportProduct(writer, template, productId, siteUrl) {
+    const apiBase = `/api/docs/${productId}`;
+    const failed = [];
+    const exportedUrls = new Set();
+
+    const versions = fileService.getProductVersions(productId);
+    const locales = fileService.getProductLocales(productId);
+    await writer.writeJson(getStaticApiPath(`${apiBase}/versions`), versions);
+    await writer.writeJson(getStaticApiPath(`${apiBase}/locales`), locales);
+
+    // Product overview
+    await writer.writeFile(`${productId}/index.html`, renderPageHtml(template));
+
+    // Trees in every version and language, as requested by the docs app (?version=&lang=)
+    for (const version of versions.versions) {
+        const versionParam = version.isLatest ? null : version.urlSegment.slice(1);
+
+        for (const locale of [null, ...locales.locales]) {
+            const params = { version: versionParam, lang: locale };
+
+            await writer.writeJson(getStaticApiPath(`${apiBase}/tree`, params),
+                fileService.getProductTree(productId, versionParam, locale));
+
+            const superCategories = fileService.getSuperCategories(productId, versionParam, locale);
+            await writer.writeJson(getStaticApiPath(`${apiBase}/super-categories`, params), superCategories);
+
+            for (const superCategory of superCategories.superCategories) {
+                await writer.writeJson(getStaticApiPath(`${apiBase}/${superCategory.fullName}/categories`, params),
+                    fileService.getCategories(productId, superCategory.fullName, versionParam, locale));
+            }
+
+            for (const page of fileService.getTreePages(productId, versionParam, locale)) {
+                if (exportedUrls.has(page.url)) continue;
+                exportedUrls.add(page.url);
+
+                if (isDocsAppUrl(page.url)) {
+                    failed.push({ url: page.url, error: 'URL is taken by the docs app files, rename the page or folder' });
+                    continue;
+                }
+
+                const urlPath = page.url.slice(`/${productId}/`.length);
+                try {
+                    const result = await fileService.getFileByUrlPath(productId, urlPath);
+                    const translation = result.filePath && !result.fallback
+                        ? translationService.getTranslationStatus(result.filePath)
+                        : null;
+
+                    await writer.writeJson(getStaticApiPath(`${apiBase}/${urlPath}`),
+                        formatPageResponse(result, urlPath, translation));
+                    const canonicalPath = seoService.getCanonicalPath(productId, urlPath, result);
+                    await writer.writeFile(`${page.url}/index.html`, renderPageHtml(template, {
+                        ...seoService.describePage(result, { url: siteUrl && siteUrl + canonicalPath }),
+                        content: result.content
+                    }));
+                    await exportPageMarkdown(writer, productId, urlPath, page.url, siteUrl);
+                } catch (error) {
+                    failed.push({ url: page.url, error: error.message });
+                }
+            }
+        }
+    }
+
+    return { pages: exportedUrls.size - failed.length, failed };
+}
+
+/**
+ * Check whether an output folder may be emptied: missing, empty or written by an earlier export
+ * @param {string} target - Absolute output folder
+ * @returns {boolean}
+ */
+function isReplaceableOutput(target) {
+    if (!fileAdapter.exists(target)) {
+        return true;
+    }
+    if (!fileAdapter.statSync(target).isDirectory()) {
+        return false;
+    }
+
+    return fileAdapter.readdirSync(target).length === 0 || fileAdapter.exists(path.join(target, EXPORT_MARKER_FILE));
+}
+
+/**
+ * Export all products as a static site
+ * The output folder is emptied first; other folders than earlier exports are only replaced with options.force.
+ * @param {string} outDir - Output folder
+ * @param {object} options - {siteUrl, force} public site URL for the sitemap (defaults to SITE_URL),
+ *                           whether to replace a non-empty folder that is not an export
+ * @returns {Promise<object>} {products, pages, assets, redirects, searchDocuments, sitemap, failed: [{url, error}]}
+ * @throws {ValidationError} If the output folder contains the project, or is not empty and not an export
+ */
+async function exportStaticSite(outDir, options = {}) {
+    const target = path.resolve(outDir);
+    if (!path.relative(target, PROJECT_DIR).startsWith('..')) {
+        throw new ValidationError(`Output folder must not contain the project: ${target}`);
+    }
+    if (!options.force && !isReplaceableOutput(target)) {
+        throw new ValidationError(`Output folder is not empty and not an earlier export: ${target} (use --force to replace it)`);
+    }
+
+    const siteUrl = (options.siteUrl || config.site.url || '').replace(/\/+$/, '');
+    const writer = createWriter(target);
+
+    await fileAdapter.rmdir(target);
+    await fileAdapter.mkdir(target);
+    await writer.writeFile(EXPORT_MARKER_FILE, 'Static docs export, replaced by the next export to this folder.\n');
+
+    // App files
+    for (const [source, folder] of STATIC_FOLDERS) {
+        if (fileAdapter.exists(source)) {
+            fileAdapter.copySync(source, path.join(target, folder), {
+                recursive: true,
+                // The app shell is only written as a product overview (with the static mode marker)
+                filter: (file) => !PRIVATE_FILES.includes(file) && file !== DOCS_TEMPLATE_PATH
+            });
+        }
+    }
+    await writer.copyFile(FUSE_BROWSER_PATH, 'docs/js/vendor/fuse.min.js');
+
+    const template = await fileAdapter.readFile(DOCS_TEMPLATE_PATH);
+
+    // Products
+    const products = fileService.getProductIds();
+    const entryProduct = products.includes(ENTRY_PRODUCT) ? ENTRY_PRODUCT : products[0];
+    if (entryProduct) {
+        await writer.writeFile('index.html', renderRedirectHtml(`/${entryProduct}`));
+    }
+    const stats = { products: products.length, pages: 0, assets: 0, redirects: 0, failed: [] };
+
+    for (const productId of products) {
+        const result = await exportProduct(writer, template, productId, siteUrl);
+        stats.pages += result.pages;
+        stats.failed.push(...result.failed);
+        stats.assets += await exportAssets(writer, productId);
+        await writer.writeFile(`${productId}/llms-full.txt`, await llmsService.getProductFullText(productId, siteUrl));
+
+        // Feeds need absolute URLs
+        if (siteUrl) {
+            await exportChangelogFeeds(writer, productId, siteUrl);
+        }
+    }
+    await writer.writeFile('llms.txt', await llmsService.getLlmsIndex(siteUrl));
+
+    // Search index (built in memory, the server's saved index stays as it is)
+    const searchIndex = await searchService.buildIndexData();
+    await writer.writeJson('api/search/index.json', searchIndex);
+    stats.searchDocuments = searchIndex.documents.length;
+
+    // Sitemap (absolute URLs need the public site URL)
+    stats.sitemap = Boolean(siteUrl);
+    if (siteUrl) {
+        await writer.writeFile('sitemap.xml', sitemapService.getSitemapXml(siteUrl));
+    }
+    await writer.writeFile('robots.txt', sitemapService.getRobotsTxt(siteUrl));
+
+    // Old URLs of renamed or moved pages, unless a page lives there again
+    for (const redirect of redirectService.getRedirects()) {
+        const stubPath = `${redirect.from}/index.html`;
+        if (writer.has(stubPath)) continue;
+
+        await writer.writeFile(stubPath, renderRedirectHtml(redirectService.findRedirect(redirect.from) || redirect.to));
+        stats.redirects++;
+    }
+
+    return stats;
+}
+
+module.exports = {
+    getStaticApiPath,
+    exportStaticSite
+};
@@ -0,0 +1,183 @@
+/**
+ * Translation Service
+ * Tracks which translations of a product are missing or outdated
+ *
+ * A translation records the revision of the default-language page it was translated
+ * from in its frontmatter (`translatedFrom: <revision>`). The revision is a short hash
+ * of the source page's content, so any change to the source marks the translation outdated.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const fileAdapter = require('../data/fileSystemAdapter');
+const fileService = require('./fileService');
+const { parseFrontmatter } = require('../utils/frontmatter');
+const { ResourceNotFoundError } = require('../utils/customErrors');
+
+// Length of a page revision (hex characters of the SHA-256 hash)
+const REVISION_LENGTH = 12;
+
+/**
+ * Get the revision of a page's content (frontmatter excluded)
+ * @param {string} rawContent - Raw file content
+ * @returns {string} Revision hash
+ */
+function getRevision(rawContent) {
+    const { content } = parseFrontmatter(rawContent);
+    return crypto.createHash('sha256').update(content.trim()).digest('hex').slice(0, REVISION_LENGTH);
+}
+
+/**
+ * Get the default-language page a translation belongs to
+ * @param {string} filePath - Translation path relative to the content directory (e.g. "docs/de/01-Documentation/Setup.md")
+ * @returns {string|null} Source page path, or null if the page is not a translation
+ */
+function getSourcePath(filePath) {
+    const segments = filePath.split(/[\\/]/);
+    const { defaultLocale } = fileService.getProductLocales(segments[0]);
+    const locale = fileService.getPageLocale(filePath);
+
+    if (!locale || locale === defaultLocale) {
+        return null;
+    }
+
+    // Language folder follows the product or its version folder
+    const index = segments[1] && segments[1].startsWith('@') ? 2 : 1;
+    segments.splice(index, 1);
+    return segments.join('/');
+}
+
+/**
+ * Get the translation status of a translated page
+ * @param {string} filePath - Translation path relative to the content directory
+ * @returns {object|null} {status: 'up-to-date'|'outdated', reason, sourcePath, sourceUrl, sourceRevision, translatedFrom},
+ *                        or null if the page is not a translation or its source no longer exists
+ */
+function getTranslationStatus(filePath) {
+    const sourcePath = getSourcePath(filePath);
+    if (!sourcePath) {
+        return null;
+    }
+
+    const absoluteSource = fileService.resolveSafePath(sourcePath);
+    const absoluteTranslation = fileService.resolveSafePath(filePath);
+    if (!fileAdapter.exists(absoluteSource) || !fileAdapter.exists(absoluteTranslation)) {
+        return null;
+    }
+
+    const sourceRevision = getRevision(fileAdapter.readFileSync(absoluteSource, 'utf-8'));
+    const { data } = parseFrontmatter(fileAdapter.readFileSync(absoluteTranslation, 'utf-8'));
+    const translatedFrom = data.translatedFrom !== undefined && data.translatedFrom !== null
+        ? String(data.translatedFrom)
+        : null;
+
+    let reason = null;
+    if (!translatedFrom) {
+        reason = 'No translatedFrom revision';
+    } else if (translatedFrom !== sourceRevision) {
+        reason = 'Source page changed';
+    }
+
+    return {
+        status: reason ? 'outdated' : 'up-to-date',
+        reason: reason,
+        sourcePath: sourcePath,
+        sourceUrl: fileService.getPageUrl(sourcePath),
+        sourceRevision: sourceRevision,
+        translatedFrom: translatedFrom
+    };
+}
+
+/**
+ * Recursively collect the default-language pages below a folder
+ * @param {string} dirPath - Absolute folder path
+ * @param {Array<string>} skipFolders - Folder names skipped at this level (languages, versions)
+ * @returns {Array<string>} Page paths relative to dirPath
+ */
+function collectSourcePages(dirPath, skipFolders = []) {
+    const pages = [];
+
+    for (const entry of fileAdapter.readdirSync(dirPath, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+
+        if (entry.isDirectory()) {
+            if (skipFolders.includes(entry.name.toLowerCase()) || entry.name.startsWith('@')) continue;
+            pages.push(...collectSourcePages(path.join(dirPath, entry.name))
+                .map(page => `${entry.name}/${page}`));
+        } else if (/\.mdx?$/.test(entry.name)) {
+            pages.push(entry.name);
+        }
+    }
+
+    return pages;
+}
+
+/**
+ * List the missing, outdated and up-to-date translations of a product
+ * Every version is checked; pages are listed by their default-language path.
+ * @param {string} productId - Product ID
+ * @returns {object} {product, defaultLocale, locales: [{locale, missing, outdated, upToDate}]}
+ */
+function getTranslationReport(productId) {
+    const productPath = fileService.resolveSafePath(productId);
+    if (!fileAdapter.exists(productPath) || !fileAdapter.statSync(productPath).isDirectory()) {
+        throw new ResourceNotFoundError('Product not found');
+    }
+
+    const { defaultLocale, locales } = fileService.getProductLocales(productId);
+    const translations = locales.filter(locale => locale !== defaultLocale);
+
+    // Content roots: the product (latest version) and its version folders
+    const roots = fileService.getProductVersions(productId).versions
+        .map(version => version.isLatest ? productId : `${productId}/@${version.id}`);
+
+    const report = translations.map(locale => {
+        const entry = { locale, missing: [], outdated: [], upToDate: [] };
+
+        for (const root of roots) {
+            for (const page of collectSourcePages(path.join(config.paths.content, root), translations)) {
+                const sourcePath = `${root}/${page}`;
+                const translationPath = `${root}/${locale}/${page}`;
+
+                const status = fileAdapter.exists(path.join(config.paths.content, translationPath))
+                    ? getTranslationStatus(translationPath)
+                    : null;
+
+                if (!status) {
+                    entry.missing.push({ page: sourcePath, translation: translationPath, sourceUrl: fileService.getPageUrl(sourcePath) });
+                    continue;
+                }
+
+                const item = {
+                    page: sourcePath,
+                    translation: translationPath,
+                    url: fileService.getPageUrl(translationPath),
+                    sourceUrl: status.sourceUrl,
+                    sourceRevision: status.sourceRevision,
+                    translatedFrom: status.translatedFrom
+                };
+
+                if (status.status === 'outdated') {
+                    entry.outdated.push({ ...item, reason: status.reason });
+                } else {
+                    entry.upToDate.push(item);
+                }
+            }
+        }
+
+        return entry;
+    });
+
+    return {
+        product: productId,
+        defaultLocale: defaultLocale,
+        locales: report
+    };
+}
+
+module.exports = {
+    getRevision,
+    getTranslationStatus,
+    getTranslationReport
+};
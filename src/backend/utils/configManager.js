@@ -4,6 +4,7 @@
  */
 
 const path = require('path');
+const config = require('../config');
 const fileAdapter = require('../data/fileSystemAdapter');
 const { ResourceNotFoundError } = require('./customErrors');
 
@@ -14,12 +15,14 @@ const configCache = new Map();
 const CONFIG_PATHS = {
     users: path.join(__dirname, '..', '..', 'apps', 'docs', 'config', 'users.json'),
     docs: path.join(__dirname, '..', '..', 'apps', 'docs', 'config', 'docs-config.json'),
-    tokenBlacklist: path.join(__dirname, '..', '..', 'apps', 'docs', 'config', 'token-blacklist.json')
+    tokenBlacklist: path.join(__dirname, '..', '..', 'apps', 'docs', 'config', 'token-blacklist.json'),
+    // Runtime state, kept out of the publicly served docs folder
+    redirects: path.join(config.paths.data, 'redirects.json')
 };
 
 /**
  * Read JSON configuration file
- * @param {string} configName - Name of config (users, docs, tokenBlacklist)
+ * @param {string} configName - Name of config (users, docs, tokenBlacklist, redirects)
  * @param {boolean} useCache - Whether to use cached version
  * @returns {object} Configuration object
  */
@@ -108,6 +111,9 @@ function getDefaultConfig(configName) {
         tokenBlacklist: {
             blacklistedTokens: [],
             lastCleanup: null
+        },
+        redirects: {
+            redirects: []
         }
     };
 
@@ -43,10 +43,41 @@ class PathTraversalError extends Error {
     }
 }
 
+class MDXCompileError extends Error {
+    constructor(message = 'MDX compilation failed', line = null, column = null) {
+        super(message);
+        this.name = 'MDXCompileError';
+        this.statusCode = 422;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+class SnippetError extends Error {
+    constructor(message = 'Snippet could not be included', file = null) {
+        super(message);
+        this.name = 'SnippetError';
+        this.statusCode = 422;
+        this.file = file;
+    }
+}
+
+class PageMovedError extends Error {
+    constructor(url) {
+        super(`Page moved to ${url}`);
+        this.name = 'PageMovedError';
+        this.statusCode = 301;
+        this.url = url;
+    }
+}
+
 module.exports = {
     ResourceNotFoundError,
     ValidationError,
     AuthenticationError,
     AuthorizationError,
-    PathTraversalError
+    PathTraversalError,
+    MDXCompileError,
+    SnippetError,
+    PageMovedError
 };
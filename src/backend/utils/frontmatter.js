@@ -0,0 +1,85 @@
+/**
+ * Frontmatter Parser
+ * Extracts the YAML frontmatter block from Markdown/MDX pages
+ *
+ * The block is parsed with the yaml package. Invalid YAML is logged and ignored,
+ * so the page still renders without its metadata.
+ */
+
+const YAML = require('yaml');
+
+// Frontmatter block at the very start of a file
+const FRONTMATTER_REGEX = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Normalize the page fields used by the docs (title, order, hidden, tags, ...)
+ * Unknown keys are kept as-is.
+ * @param {object} data - Parsed frontmatter
+ * @returns {object} Page metadata
+ */
+function normalizePageMetadata(data) {
+    const metadata = { ...data };
+
+    if (metadata.order !== undefined) {
+        const order = Number(metadata.order);
+        if (Number.isFinite(order)) {
+            metadata.order = order;
+        } else {
+            delete metadata.order;
+        }
+    }
+
+    if (metadata.hidden !== undefined) {
+        metadata.hidden = metadata.hidden === true || metadata.hidden === 'true';
+    }
+
+    if (metadata.tags !== undefined) {
+        // An empty "tags:" is null
+        const tags = Array.isArray(metadata.tags) ? metadata.tags : String(metadata.tags ?? '').split(',');
+        metadata.tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+    }
+
+    for (const key of ['title', 'description', 'sidebarTitle', 'icon', 'slug']) {
+        const value = metadata[key];
+        if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+            delete metadata[key];
+        } else {
+            metadata[key] = String(metadata[key]);
+        }
+    }
+
+    return metadata;
+}
+
+/**
+ * Split a page into frontmatter metadata and body
+ * @param {string} raw - Raw file content
+ * @returns {object} {data, content, hasFrontmatter}
+ */
+function parseFrontmatter(raw) {
+    const source = raw || '';
+    const match = source.match(FRONTMATTER_REGEX);
+
+    if (!match) {
+        return { data: {}, content: source, hasFrontmatter: false };
+    }
+
+    let data;
+    try {
+        data = YAML.parse(match[1] || '');
+    } catch (error) {
+        console.warn(`[Frontmatter] ⚠ Ignoring invalid frontmatter: ${error.message}`);
+        data = null;
+    }
+
+    return {
+        data: normalizePageMetadata(data && typeof data === 'object' && !Array.isArray(data) ? data : {}),
+        content: source.slice(match[0].length),
+        hasFrontmatter: true
+    };
+}
+
+module.exports = {
+    parseFrontmatter,
+    normalizePageMetadata
+};
@@ -0,0 +1,139 @@
+/**
+ * Heading Anchors
+ * Assigns stable, deduplicated IDs to rendered headings and builds the table of contents
+ *
+ * A heading can set its own anchor with a trailing `{#custom-id}`:
+ *   ## Installation {#install}
+ */
+
+const { mapLinesOutsideFences } = require('./markdownSource');
+
+// Rendered heading element (content never contains another heading)
+const HEADING_REGEX = /<h([1-6])([^>]*)>([\s\S]*?)<\/h\1>/g;
+
+// Custom anchor at the end of a heading's text
+const CUSTOM_ANCHOR_REGEX = /\s*\{#([A-Za-z][\w-]*)\}\s*$/;
+
+// ATX heading line ending with a custom anchor (MDX source)
+const MDX_ANCHOR_LINE_REGEX = /^(\s{0,3}#{1,6}\s.*?)\s*\{#([A-Za-z][\w-]*)\}\s*$/;
+
+// Named entities produced by the renderers
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&#039;': "'",
+    '&nbsp;': ' '
+};
+
+/**
+ * Convert heading HTML to plain text
+ * @param {string} html - Heading inner HTML
+ * @returns {string} Plain text
+ */
+function headingText(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(?:amp|lt|gt|quot|nbsp|#0?39);/g, entity => ENTITIES[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Create a URL-friendly anchor from heading text
+ * @param {string} text - Heading text
+ * @returns {string} Anchor slug
+ */
+function slugifyHeading(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/[\s_]+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '') || 'section';
+}
+
+/**
+ * Make an anchor unique within a page (GitHub style: id, id-1, id-2, ...)
+ * @param {string} id - Wanted anchor
+ * @param {Map} used - Anchors already used on the page with their counters
+ * @returns {string} Unique anchor
+ */
+function uniqueId(id, used) {
+    if (!used.has(id)) {
+        used.set(id, 0);
+        return id;
+    }
+
+    let count = used.get(id);
+    let candidate;
+    do {
+        count++;
+        candidate = `${id}-${count}`;
+    } while (used.has(candidate));
+
+    used.set(id, count);
+    used.set(candidate, 0);
+    return candidate;
+}
+
+/**
+ * Escape `{#id}` heading anchors in MDX source so they are not parsed as expressions
+ * Fenced code blocks are left untouched.
+ * @param {string} source - MDX source
+ * @returns {string} MDX source with escaped anchors
+ */
+function escapeMdxHeadingAnchors(source) {
+    return mapLinesOutsideFences(source, line => line.replace(MDX_ANCHOR_LINE_REGEX, '$1 \\{#$2\\}'));
+}
+
+/**
+ * Add IDs to all headings of a rendered page and collect the table of contents
+ * Existing `id` attributes are kept.
+ * @param {string} html - Rendered page HTML
+ * @returns {object} {html, toc} - HTML with heading IDs and [{level, id, text}]
+ */
+function addHeadingAnchors(html) {
+    const used = new Map();
+    const toc = [];
+
+    const result = html.replace(HEADING_REGEX, (match, level, attributes, inner) => {
+        const existingId = attributes.match(/\sid="([^"]*)"/);
+        let content = inner;
+        let id;
+
+        if (existingId) {
+            id = existingId[1];
+            used.set(id, used.get(id) || 0);
+        } else {
+            const customAnchor = content.match(CUSTOM_ANCHOR_REGEX);
+            if (customAnchor) {
+                content = content.replace(CUSTOM_ANCHOR_REGEX, '');
+            }
+            id = uniqueId(customAnchor ? customAnchor[1] : slugifyHeading(headingText(content)), used);
+        }
+
+        toc.push({
+            level: Number(level),
+            id: id,
+            text: headingText(content)
+        });
+
+        if (existingId) {
+            return `<h${level}${attributes}>${content}</h${level}>`;
+        }
+        return `<h${level} id="${id}"${attributes}>${content}</h${level}>`;
+    });
+
+    return { html: result, toc };
+}
+
+module.exports = {
+    addHeadingAnchors,
+    escapeMdxHeadingAnchors,
+    headingText,
+    slugifyHeading
+};
@@ -0,0 +1,44 @@
+/**
+ * Markdown Source Helpers
+ * Line-based transforms of Markdown/MDX source that know about fenced code blocks
+ */
+
+/**
+ * Apply a transform to every line, telling it whether the line is inside a fenced code block
+ * Fence delimiter lines themselves are passed through unchanged.
+ * @param {string} source - Markdown/MDX source
+ * @param {Function} transform - (line, inFence) => replacement line(s)
+ * @returns {string} Transformed source
+ */
+function mapLines(source, transform) {
+    let fence = null;
+
+    return source.split('\n').map(line => {
+        const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            }
+            return line;
+        }
+
+        return transform(line, fence !== null);
+    }).join('\n');
+}
+
+/**
+ * Apply a transform to every line outside fenced code blocks
+ * @param {string} source - Markdown/MDX source
+ * @param {Function} transform - (line) => replacement line(s)
+ * @returns {string} Transformed source
+ */
+function mapLinesOutsideFences(source, transform) {
+    return mapLines(source, (line, inFence) => (inFence ? line : transform(line)));
+}
+
+module.exports = {
+    mapLines,
+    mapLinesOutsideFences
+};
@@ -0,0 +1,39 @@
+/**
+ * Page Response
+ * JSON shape of a page as served by GET /api/docs/:product/* and written by the static export
+ */
+
+/**
+ * Build the response body of a page
+ * @param {object} result - Page from fileService.getFileByUrlPath
+ * @param {string} urlPath - Requested URL path after the product
+ * @param {object|null} translation - Translation status from translationService (null if not a translation)
+ * @returns {object} Response body
+ */
+function formatPageResponse(result, urlPath, translation) {
+    return {
+        content: result.content,
+        rawContent: result.rawContent,
+        fileType: result.fileType,
+        exports: result.exports,
+        toc: result.toc,
+        path: urlPath,
+        locale: result.locale,
+        requestedLocale: result.requestedLocale,
+        fallback: result.fallback,
+        translation: translation && {
+            status: translation.status,
+            reason: translation.reason,
+            sourceUrl: translation.sourceUrl
+        },
+        metadata: {
+            ...result.metadata,
+            size: result.size,
+            lastModified: result.lastModified
+        }
+    };
+}
+
+module.exports = {
+    formatPageResponse
+};
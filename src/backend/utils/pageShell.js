@@ -0,0 +1,66 @@
+/**
+ * Page Shell
+ * Writes a page's metadata (and optionally its pre-rendered content) into the docs app index.html
+ */
+
+const { escapeHtml } = require('./escape');
+
+/**
+ * Get the site title of the docs app shell
+ * @param {string} template - Docs app index.html
+ * @returns {string} Title (HTML-escaped as in the template)
+ */
+function getSiteTitle(template) {
+    return (template.match(/<title>([^<]*)<\/title>/) || [])[1] || '';
+}
+
+/**
+ * Render the docs app shell for a page
+ * @param {string} template - Docs app index.html
+ * @param {object} page - {title, description, url, type, locale, content}, all optional
+ *                        (url: absolute canonical URL, type: OpenGraph type, content: page HTML)
+ * @returns {string} HTML
+ */
+function renderPageShell(template, page = {}) {
+    // Site title of the template (already HTML-escaped)
+    const siteTitle = getSiteTitle(template);
+    const title = page.title ? `${escapeHtml(page.title)} - ${siteTitle}` : siteTitle;
+
+    const tags = [];
+    if (page.description) {
+        tags.push(`<meta name="description" content="${escapeHtml(page.description)}">`);
+    }
+    if (page.url) {
+        tags.push(`<link rel="canonical" href="${escapeHtml(page.url)}">`);
+    }
+    if (page.title) {
+        tags.push(
+            `<meta property="og:type" content="${escapeHtml(page.type || 'website')}">`,
+            `<meta property="og:site_name" content="${siteTitle}">`,
+            `<meta property="og:title" content="${escapeHtml(page.title)}">`
+        );
+        if (page.description) tags.push(`<meta property="og:description" content="${escapeHtml(page.description)}">`);
+        if (page.url) tags.push(`<meta property="og:url" content="${escapeHtml(page.url)}">`);
+        tags.push('<meta name="twitter:card" content="summary">');
+    }
+
+    let html = template.replace(/<title>[^<]*<\/title>/, () => `<title>${title}</title>`);
+
+    if (tags.length > 0) {
+        html = html.replace('</head>', () => `${tags.map(tag => `    ${tag}\n`).join('')}</head>`);
+    }
+    if (page.locale) {
+        html = html.replace(/<html lang="[^"]*">/, () => `<html lang="${escapeHtml(page.locale)}">`);
+    }
+    if (page.content) {
+        html = html.replace(/(<div id="dynamic-content-area"[^>]*>)[\s\S]*?(<\/div>)/, (match, open, close) =>
+            `${open}\n${page.content}\n${close}`);
+    }
+
+    return html;
+}
+
+module.exports = {
+    getSiteTitle,
+    renderPageShell
+};
@@ -0,0 +1,74 @@
+/**
+ * HTML Sanitizer
+ * Final stage of the render pipeline: cleans rendered page HTML with isomorphic-dompurify
+ *
+ * Component markup (classes, data-* attributes, inline styles, SVG) passes through;
+ * scripts, event handlers and javascript: URLs are removed. Configured in config.sanitize.
+ */
+
+const DOMPurify = require('isomorphic-dompurify');
+const config = require('../config');
+
+let hooksInstalled = false;
+
+/**
+ * Check whether an iframe source is on the embed allowlist
+ * @param {string|null} src - iframe src attribute
+ * @returns {boolean}
+ */
+function isAllowedEmbed(src) {
+    try {
+        const url = new URL(src);
+        return url.protocol === 'https:' && config.sanitize.iframeHosts.some(host =>
+            url.hostname === host || url.hostname.endsWith(`.${host}`)
+        );
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Register the DOMPurify hooks (once)
+ */
+function installHooks() {
+    if (hooksInstalled) return;
+
+    // Only embed iframes from allowed hosts
+    DOMPurify.addHook('uponSanitizeElement', (node, data) => {
+        if (data.tagName === 'iframe' && !isAllowedEmbed(node.getAttribute('src'))) {
+            node.parentNode.removeChild(node);
+        }
+    });
+
+    // Links opening a new tab must not get access to the opener
+    DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+        if (node.tagName === 'A' && node.getAttribute('target') === '_blank') {
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+
+    hooksInstalled = true;
+}
+
+/**
+ * Sanitize rendered HTML
+ * @param {string} html - Rendered HTML
+ * @returns {string} Sanitized HTML (unchanged when sanitization is disabled)
+ */
+function sanitizeHtml(html) {
+    if (!config.sanitize.enabled) {
+        return html;
+    }
+
+    installHooks();
+
+    return DOMPurify.sanitize(html, {
+        ADD_TAGS: config.sanitize.addTags,
+        ADD_ATTR: config.sanitize.addAttributes,
+        FORBID_TAGS: config.sanitize.forbidTags
+    });
+}
+
+module.exports = {
+    sanitizeHtml
+};
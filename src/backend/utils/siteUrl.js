@@ -0,0 +1,19 @@
+/**
+ * Site URL
+ * Public base URL for absolute links (sitemaps, feeds, canonical URLs)
+ */
+
+const config = require('../config');
+
+/**
+ * Get the public site URL of a request
+ * @param {object} req - Express request
+ * @returns {string} SITE_URL, else the requested host (e.g. "https://docs.example.com")
+ */
+function getSiteUrl(req) {
+    return config.site.url || `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = {
+    getSiteUrl
+};
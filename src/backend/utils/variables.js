@@ -0,0 +1,42 @@
+/**
+ * Page Variables
+ * Substitutes `{{ name }}` placeholders in Markdown/MDX source
+ *
+ * Variables come from the product's `variables` in docs-config.json and can be
+ * overridden per page in the frontmatter. `\{{ name }}` keeps the placeholder as text.
+ * Fenced code blocks are left untouched.
+ */
+
+const { mapLinesOutsideFences } = require('./markdownSource');
+
+// {{ name }}, optionally escaped with a leading backslash
+const VARIABLE_REGEX = /(\\?)\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+/**
+ * Replace variable placeholders outside fenced code blocks
+ * Undefined variables are left as they are and reported through onUndefined.
+ * @param {string} source - Markdown/MDX source
+ * @param {object} variables - Variable values by name
+ * @param {Function} onUndefined - Called with the name of each undefined variable (optional)
+ * @returns {string} Source with variables substituted
+ */
+function substituteVariables(source, variables, onUndefined = null) {
+    const has = (name) => Object.prototype.hasOwnProperty.call(variables, name);
+
+    return mapLinesOutsideFences(source, line => line.replace(VARIABLE_REGEX, (match, escape, name) => {
+        if (escape) {
+            return match.slice(1);
+        }
+        if (has(name)) {
+            return String(variables[name]);
+        }
+        if (onUndefined) {
+            onUndefined(name);
+        }
+        return match;
+    }));
+}
+
+module.exports = {
+    substituteVariables
+};
@@ -6,7 +6,6 @@
 // Tracking welche Ressourcen bereits geladen wurden
 const loadedResources = {
     marked: false,
-    prismPlugins: false,
     docsSearch: false,
     docsCore: false
 };
@@ -104,43 +103,6 @@ async function loadMarked() {
     }
 }
 
-/**
- * Lädt Prism.js Language Plugins
- * @returns {Promise}
- */
-async function loadPrismPlugins() {
-    if (loadedResources.prismPlugins) {
-        return Promise.resolve();
-    }
-
-    try {
-        // Lade alle Language Components parallel
-        await Promise.all([
-            loadScript(
-                'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/prism-yaml.min.js',
-                'prism-yaml'
-            ),
-            loadScript(
-                'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/prism-java.min.js',
-                'prism-java'
-            ),
-            loadScript(
-                'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/prism-bash.min.js',
-                'prism-bash'
-            ),
-            loadScript(
-                'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/prism-json.min.js',
-                'prism-json'
-            )
-        ]);
-
-        loadedResources.prismPlugins = true;
-    } catch (error) {
-        console.error('Failed to load Prism.js plugins:', error);
-        throw error;
-    }
-}
-
 /**
  * Lädt alle notwendigen Ressourcen für die Dokumentationsseite
  * @returns {Promise}
@@ -154,11 +116,8 @@ async function loadDocsModules() {
         // Zeige Loading Indicator
         showLoadingIndicator('Loading documentation modules...');
 
-        // Lade Bibliotheken parallel
-        await Promise.all([
-            loadMarked(),
-            loadPrismPlugins()
-        ]);
+        // Lade Bibliotheken (Code-Highlighting passiert serverseitig)
+        await loadMarked();
 
         // Lade Docs-spezifische Module
         // Absolute Pfade von der Root
@@ -280,7 +239,6 @@ function showErrorMessage(message) {
 // Exportiere Funktionen für globalen Zugriff
 window.LazyLoader = {
     loadMarked,
-    loadPrismPlugins,
     loadDocsModules,
     loadSearchModule,
     showLoadingIndicator,